@@ -0,0 +1,117 @@
+import Promise from "bluebird";
+import { groupBy, sumBy } from "lodash";
+import { round } from "./statistics";
+import { TeamworkTasklistSource } from "./sources";
+import Messages from "./Messages";
+
+// A factor within this much of 1 is considered on target
+const TOLERANCE = 0.1;
+
+/**
+ * Compare the estimates the bot finalized (and everyone's individual votes) for
+ * the tasks of a tasklist with the time actually logged on them. The team's
+ * correction factor is saved to the store so future rounds can show it.
+ * Resolves with the outcome worded by `messages`.
+ */
+export default async function measureAccuracy(api, store, input, messages = new Messages()) {
+    if(!TeamworkTasklistSource.matches(input)) {
+        throw new Error(messages.format("accuracy.provideTasklist"));
+    }
+
+    const source = TeamworkTasklistSource.fromInput(api, input);
+    const tasks = (await source.load({ includeCompleted: true })).map(task => ({
+        task,
+        history: store.getHistory(source.installation, task.id)
+    })).filter(({ history }) => history);
+
+    if(!tasks.length) {
+        throw new Error(messages.format("accuracy.noneEstimated", { name: source.name }));
+    }
+
+    const entries = (await Promise.map(tasks, async ({ task, history }) => ({
+        ...history,
+        actual: await getLoggedHours(api, task.id)
+    }))).filter(entry => entry.actual > 0);
+
+    if(!entries.length) {
+        throw new Error(messages.format("accuracy.noTimeLogged", { name: source.name }));
+    }
+
+    const accuracy = analyze(entries);
+
+    store.setCorrection(source.installation, {
+        factor: accuracy.team.factor,
+        tasks: accuracy.tasks,
+        tasklist: source.name
+    });
+
+    return formatAccuracy(source.name, accuracy, messages);
+}
+
+/**
+ * Work out the bias from entries of `{ hours, votes: { handle: hours }, actual }`.
+ * The factor is the actual time over the estimated time: above 1 means
+ * under-estimating, below 1 means over-estimating.
+ */
+export function analyze(entries) {
+    const votes = entries.reduce((votes, entry) => votes.concat(Object.keys(entry.votes || {}).map(handle => ({
+        handle,
+        hours: entry.votes[handle],
+        actual: entry.actual
+    }))), []);
+
+    const people = groupBy(votes, "handle");
+
+    return {
+        tasks: entries.length,
+        team: measure(entries.map(entry => ({ hours: entry.hours, actual: entry.actual }))),
+        people: Object.keys(people).sort().map(handle => ({ handle, ...measure(people[handle]) }))
+    };
+}
+
+function measure(estimates) {
+    const estimated = round(sumBy(estimates, "hours"));
+    const actual = round(sumBy(estimates, "actual"));
+
+    return {
+        tasks: estimates.length,
+        estimated,
+        actual,
+        factor: estimated > 0 ? round(actual / estimated) : null
+    };
+}
+
+async function getLoggedHours(api, taskId) {
+    const entries = (await api.request(`/tasks/${taskId}/time_entries.json`))["time-entries"] || [];
+    return sumBy(entries, entry => parseInt(entry.hours || 0) + parseInt(entry.minutes || 0) / 60);
+}
+
+export function formatBias(factor, messages = new Messages()) {
+    if(factor === null) {
+        return messages.format("accuracy.noEstimates");
+    }
+
+    if(Math.abs(factor - 1) <= TOLERANCE) {
+        return messages.format("accuracy.onTarget");
+    }
+
+    return factor > 1 ?
+        messages.format("accuracy.underEstimates", { percent: Math.round((factor - 1) * 100) }) :
+        messages.format("accuracy.overEstimates", { percent: Math.round((1 - factor) * 100) });
+}
+
+function formatAccuracy(name, accuracy, messages) {
+    const { team } = accuracy;
+
+    return [
+        messages.format("accuracy.header", { name, tasks: accuracy.tasks }),
+        messages.format("accuracy.team", { estimated: team.estimated, actual: team.actual, bias: formatBias(team.factor, messages), factor: team.factor }),
+        "",
+        messages.format("accuracy.columns"),
+        "|---|---|---|---|---|---|",
+        ...accuracy.people.map(person => (
+            `| @${person.handle} | ${person.tasks} | ${person.estimated} | ${person.actual} | ${formatBias(person.factor, messages)} | ` +
+            `${person.factor === null ? "-" : "x" + person.factor} |`
+        ))
+    ].join("\n");
+}
@@ -0,0 +1,91 @@
+import { sum, values } from "lodash";
+import { round } from "./statistics";
+import Messages from "./Messages";
+
+/**
+ * How many hours of work fit in the sprint. Either the team's hours or each
+ * person's availability, both optionally scaled down by a focus factor for the
+ * time lost to meetings, support and the like.
+ */
+export default class Capacity {
+    constructor({ hours = null, people = null, focus = 1 }) {
+        this.hours = hours;
+        this.people = people;
+        this.focus = focus;
+    }
+
+    get total() {
+        return round((this.people ? sum(values(this.people)) : this.hours) * this.focus);
+    }
+
+    describe(messages = new Messages()) {
+        const hours = value => messages.format("units.hours", { value });
+        const available = this.people ?
+            Object.keys(this.people).map(handle => `@${handle} ${hours(this.people[handle])}`).join(", ") :
+            hours(this.hours);
+        const focus = this.focus === 1 ? "" : `, ${messages.format("capacityFocus", { percent: Math.round(this.focus * 100) })}`;
+
+        return `**${hours(this.total)}** (${available}${focus})`;
+    }
+
+    serialize() {
+        return { hours: this.hours, people: this.people, focus: this.focus };
+    }
+
+    static restore(data) {
+        return data ? new Capacity(data) : null;
+    }
+
+    /**
+     * Create the capacity from the moderator's input, either the team's hours
+     * ("120") or hours per person ("@jane 30 @emmet 20"), optionally followed by
+     * a focus factor ("focus 0.8" or "focus 80%").
+     */
+    static fromInput(input, messages = new Messages()) {
+        const tokens = input.trim().split(/\s+/);
+        const people = {};
+        let hours = null;
+        let focus = 1;
+
+        for(let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if(token.toLowerCase() === "focus") {
+                focus = parseFocus(tokens[++i], messages);
+            } else if(token.startsWith("@")) {
+                people[token.slice(1)] = parseHours(tokens[++i], messages, token);
+            } else {
+                hours = parseHours(token, messages);
+            }
+        }
+
+        const perPerson = Object.keys(people).length > 0;
+
+        if(perPerson === (hours !== null)) {
+            throw new Error(messages.format("capacityEither"));
+        }
+
+        return new Capacity({ hours, people: perPerson ? people : null, focus });
+    }
+}
+
+function parseHours(input, messages, person) {
+    const hours = parseFloat(input);
+
+    if(isNaN(hours) || hours < 0) {
+        throw new Error(messages.format(person ? "invalidPersonHours" : "invalidHours", { input: input || "", person }));
+    }
+
+    return hours;
+}
+
+function parseFocus(input, messages) {
+    const value = parseFloat(input);
+    const focus = input && input.endsWith("%") ? value / 100 : value;
+
+    if(isNaN(focus) || focus <= 0 || focus > 1) {
+        throw new Error(messages.format("invalidFocus"));
+    }
+
+    return focus;
+}
@@ -0,0 +1,163 @@
+import http from "http";
+import Promise from "bluebird";
+import winston from "winston";
+import { pull } from "lodash";
+
+// Keep idle event streams from being closed by proxies
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+/**
+ * A small HTTP server showing the sessions running on the bot, to put the
+ * planning on a shared screen. `/` is the dashboard page, `/api/sessions` and
+ * `/api/sessions/:room` are the sessions as JSON and `/api/events` streams
+ * `session` (the session's state) and `remove` (`{ room }`) server-sent events.
+ */
+export default class Dashboard {
+    constructor(manager) {
+        this.manager = manager;
+        this.clients = [];
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        manager.on("change", session => this.publish("session", session.snapshot()));
+        manager.on("remove", session => this.publish("remove", { room: session.room.id }));
+    }
+
+    listen(port, host = "127.0.0.1") {
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, host, () => {
+                this.heartbeat = setInterval(() => this.clients.forEach(res => res.write(":\n\n")), HEARTBEAT_INTERVAL);
+                this.heartbeat.unref();
+
+                winston.info(`dashboard listening on http://${host}:${this.server.address().port}`);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        this.clients.forEach(res => res.end());
+        this.clients = [];
+
+        return Promise.fromCallback(callback => this.server.close(callback));
+    }
+
+    handleRequest(req, res) {
+        const path = req.url.split("?")[0];
+
+        if(req.method !== "GET") {
+            return send(res, 405, { error: "Only GET requests are supported." });
+        }
+
+        if(path === "/") {
+            res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+            return res.end(PAGE);
+        }
+
+        if(path === "/api/sessions") {
+            return send(res, 200, this.manager.sessions.map(session => session.snapshot()));
+        }
+
+        if(path.match(/^\/api\/sessions\/([^/]+)$/)) {
+            const session = this.manager.findByRoom(decodeURIComponent(RegExp.$1));
+            return session ? send(res, 200, session.snapshot()) : send(res, 404, { error: "There's no session in that room." });
+        }
+
+        if(path === "/api/events") {
+            return this.subscribe(req, res);
+        }
+
+        send(res, 404, { error: "Not found." });
+    }
+
+    subscribe(req, res) {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive"
+        });
+
+        // Start everyone off with the current state
+        this.manager.sessions.forEach(session => write(res, "session", session.snapshot()));
+        this.clients.push(res);
+
+        req.on("close", () => pull(this.clients, res));
+    }
+
+    publish(event, data) {
+        this.clients.forEach(res => write(res, event, data));
+    }
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify(body));
+}
+
+function write(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+const PAGE = `<!doctype html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Sprint Planning Poker</title>
+    <style>
+        body { font-family: sans-serif; margin: 2em; background: #f4f5f7; color: #172b4d; }
+        .session { background: #fff; border-radius: 4px; padding: 1em 1.5em; margin-bottom: 1.5em; }
+        .current { font-size: 1.4em; margin: 0.5em 0; }
+        .muted { color: #6b778c; }
+        li.voted { color: #36b37e; }
+    </style>
+</head>
+<body>
+    <h1>Sprint Planning Poker</h1>
+    <div id="sessions"><p class="muted">No plannings running.</p></div>
+    <script>
+        var sessions = {};
+
+        function escape(text) {
+            return String(text).replace(/[&<>"]/g, function(c) {
+                return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c];
+            });
+        }
+
+        function render() {
+            var rooms = Object.keys(sessions);
+
+            document.getElementById("sessions").innerHTML = rooms.length ? rooms.map(function(room) {
+                var session = sessions[room];
+                var current = session.current;
+
+                return '<div class="session">' +
+                    '<h2>' + escape(session.name || "Nothing planned yet") + ' <small class="muted">' + escape(session.status) + ', moderated by @' + escape(session.moderator) + '</small></h2>' +
+                    (current ? '<div class="current">#' + escape(current.id) + ' ' + escape(current.title) + ' <small class="muted">pass ' + current.pass + '</small></div>' +
+                        '<ul>' + current.voted.map(function(handle) { return '<li class="voted">@' + escape(handle) + ' has voted</li>'; }).join("") +
+                        current.waiting.map(function(handle) { return '<li>@' + escape(handle) + ' is estimating</li>'; }).join("") + '</ul>' : '') +
+                    (session.capacity ? '<p>Planned ' + session.capacity.planned + ' of ' + session.capacity.total + ' hr(s)</p>' : '') +
+                    '<h3>Estimated (' + session.completed.length + ')</h3><ol>' + session.completed.map(function(task) {
+                        return '<li>' + escape(task.title) + ': <strong>' + escape(task.formatted) + '</strong></li>';
+                    }).join("") + '</ol>' +
+                    '<p class="muted">' + session.queue.length + ' to go, ' + session.skipped.length + ' skipped</p>' +
+                '</div>';
+            }).join("") : '<p class="muted">No plannings running.</p>';
+        }
+
+        var events = new EventSource("/api/events");
+
+        events.addEventListener("session", function(event) {
+            var session = JSON.parse(event.data);
+            sessions[session.room] = session;
+            render();
+        });
+
+        events.addEventListener("remove", function(event) {
+            delete sessions[JSON.parse(event.data).room];
+            render();
+        });
+    </script>
+</body>
+</html>
+`;
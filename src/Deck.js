@@ -0,0 +1,245 @@
+import { meanBy, minBy } from "lodash";
+import summarize, { round } from "./statistics";
+import parseDuration, { formatDuration } from "./duration";
+import Messages from "./Messages";
+
+const FIBONACCI = [0, 1, 2, 3, 5, 8, 13, 21, 34];
+const STORY_POINTS = [0, 0.5, 1, 2, 3, 5, 8, 13, 20, 40, 100];
+const TSHIRT = { XS: 1, S: 2, M: 4, L: 8, XL: 16, XXL: 32 };
+
+// Decks saved before the units were worded by the messages
+const LEGACY_UNITS = { "hr(s)": "hours", "point(s)": "points" };
+
+/**
+ * A deck of cards participants can estimate with. The "hours" deck accepts any
+ * duration (e.g. "4", "2h 30m" or "half a day"), every other deck only accepts
+ * its cards or a duration matching one. Each card maps to a number of hours
+ * which is what gets written back to Teamwork. The `unit` ("hours", "points"
+ * or none) is worded by the `units` of the messages passed to the formatting.
+ */
+export default class Deck {
+    constructor(name, cards, unit) {
+        this.name = name;
+        this.cards = cards;
+        this.unit = unit;
+    }
+
+    get isFreeform() {
+        return !this.cards;
+    }
+
+    get isNumeric() {
+        return this.isFreeform || this.cards.every(card => typeof card.value === "number");
+    }
+
+    /**
+     * Parse a vote. `workday` is the hours in a day for durations given in
+     * days or weeks and `messages` word the errors.
+     */
+    parse(input, { workday, messages = new Messages() } = {}) {
+        input = input.toString().trim();
+
+        if(this.isFreeform) {
+            return parseDuration(input, { workday, messages });
+        }
+
+        const card = this.cards.find(card => card.label.toLowerCase() === input.toLowerCase()) ||
+            this.findByDuration(input, workday);
+
+        if(!card) {
+            throw new Error(messages.format("notACard", { input, deck: this.name, cards: this.formatCards(messages) }));
+        }
+
+        return card.value;
+    }
+
+    // The card for a duration with units, e.g. "half a day" in a deck with a 4 hour card
+    findByDuration(input, workday) {
+        if(!input.match(/[a-z]/i)) {
+            return null;
+        }
+
+        try {
+            const hours = parseDuration(input, { workday });
+            return this.cards.find(card => card.hours === hours) || null;
+        } catch(err) {
+            return null;
+        }
+    }
+
+    toHours(value) {
+        if(this.isFreeform) {
+            return value;
+        }
+
+        const card = this.cards.find(card => card.value === value);
+
+        if(card) {
+            return card.hours;
+        }
+
+        // Averages of numeric decks don't always land on a card
+        const hoursPerUnit = this.cards.find(card => card.value > 0);
+        return hoursPerUnit ? value * (hoursPerUnit.hours / hoursPerUnit.value) : value;
+    }
+
+    average(values) {
+        if(!values.length) {
+            return null;
+        }
+
+        if(this.isNumeric) {
+            return round(meanBy(values));
+        }
+
+        // Non-numeric decks (e.g. t-shirts) average in hours and land on the closest card
+        return this.closest(meanBy(values, value => this.toHours(value))).value;
+    }
+
+    /**
+     * The mean, median, mode, min, max, standard deviation and consensus of the
+     * votes as deck values. Non-numeric decks are measured in hours and every
+     * figure but the spread lands on the closest card.
+     */
+    statistics(values) {
+        if(!values.length) {
+            return null;
+        }
+
+        const stats = summarize(this.isNumeric ? values : values.map(value => this.toHours(value)));
+        const toValue = this.isNumeric ? round : hours => this.closest(hours).value;
+
+        return {
+            mean: toValue(stats.mean),
+            median: toValue(stats.median),
+            mode: stats.mode === null ? null : toValue(stats.mode),
+            min: toValue(stats.min),
+            max: toValue(stats.max),
+            stddev: round(stats.stddev),
+            consensus: round(stats.consensus)
+        };
+    }
+
+    // The card closest to `value`, the value itself with the hours deck
+    snap(value) {
+        return this.isFreeform || value === null ? value : this.closest(this.toHours(value)).value;
+    }
+
+    closest(hours) {
+        return minBy(this.cards, card => Math.abs(card.hours - hours));
+    }
+
+    format(value, messages = new Messages()) {
+        if(value === null || typeof value === "undefined") {
+            return "-";
+        }
+
+        if(this.isFreeform) {
+            value = round(value);
+        }
+
+        return this.unit ? messages.format(`units.${this.unit}`, { value }) : `${value}`;
+    }
+
+    /**
+     * The vote as understood, e.g. "2.5 hr(s) (2h 30m)" for "2h 30m" with the
+     * hours deck, to confirm durations were read correctly.
+     */
+    formatVote(value, messages = new Messages()) {
+        if(!this.isFreeform || value % 1 === 0) {
+            return this.format(value, messages);
+        }
+
+        return `${this.format(value, messages)} (${formatDuration(value)})`;
+    }
+
+    formatSpread(stddev, messages = new Messages()) {
+        return this.isNumeric ? this.format(stddev, messages) : messages.format("units.hours", { value: stddev });
+    }
+
+    formatCards(messages = new Messages()) {
+        return this.isFreeform ? messages.format("anyDuration") : this.cards.map(card => card.label).join(", ");
+    }
+
+    // Examples of votes, which are understood in every language
+    formatExample() {
+        return this.isFreeform ? "0.5, 4, 2h 30m" : this.cards.slice(0, 3).map(card => card.label).join(", ");
+    }
+
+    describe(messages = new Messages()) {
+        return `**${this.name}** (${this.formatCards(messages)})`;
+    }
+
+    serialize() {
+        return { name: this.name, cards: this.cards, unit: this.unit };
+    }
+
+    static restore(data) {
+        return new Deck(data.name, data.cards, LEGACY_UNITS[data.unit] || data.unit);
+    }
+
+    static get presets() {
+        return ["hours", "fibonacci", "points", "tshirt"];
+    }
+
+    /**
+     * Create a deck from the moderator's input. Accepts a preset name optionally
+     * followed by the hours per point (e.g. "fibonacci 4"), or a custom list of
+     * cards either as hours ("1, 2, 4, 8") or labels mapped to hours ("S=2, M=4").
+     */
+    static fromInput(input, messages = new Messages()) {
+        const [name, ...args] = input.trim().split(/\s+/);
+
+        switch(name.toLowerCase()) {
+            case "hours":
+                return new Deck("hours", null, "hours");
+
+            case "fibonacci":
+            case "points":
+                const hoursPerPoint = args.length ? parseFloat(args[0]) : 1;
+
+                if(isNaN(hoursPerPoint) || hoursPerPoint <= 0) {
+                    throw new Error(messages.format("invalidHoursPerPoint", { hours: args[0] }));
+                }
+
+                return new Deck(name.toLowerCase(), (name.toLowerCase() === "fibonacci" ? FIBONACCI : STORY_POINTS).map(points => ({
+                    label: points.toString(),
+                    value: points,
+                    hours: points * hoursPerPoint
+                })), "points");
+
+            case "tshirt":
+                return new Deck("tshirt", Object.keys(TSHIRT).map(size => ({
+                    label: size,
+                    value: size,
+                    hours: TSHIRT[size]
+                })));
+
+            default:
+                return Deck.fromList(input, messages);
+        }
+    }
+
+    static fromList(input, messages = new Messages()) {
+        const cards = input.split(/\s*,\s*|\s+/).filter(card => card).map(card => {
+            const [label, hours] = card.split("=");
+            const value = hours ? label : parseFloat(label);
+
+            if(hours ? isNaN(parseFloat(hours)) : isNaN(value)) {
+                throw new Error(messages.format("unknownDeck", { input, presets: Deck.presets.join(", ") }));
+            }
+
+            return { label, value, hours: hours ? parseFloat(hours) : value };
+        });
+
+        if(cards.length < 2) {
+            throw new Error(messages.format("customDeckTooSmall"));
+        }
+
+        return new Deck("custom", cards, cards.every(card => typeof card.value === "number") ? "hours" : null);
+    }
+
+    static get default() {
+        return Deck.fromInput("hours");
+    }
+}
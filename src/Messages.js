@@ -0,0 +1,71 @@
+import fs from "fs";
+import path from "path";
+import moment from "moment";
+import { get, merge, uniq } from "lodash";
+import en from "./messages/en";
+import de from "./messages/de";
+
+export const LANGUAGES = { en, de };
+
+/**
+ * The messages the bot sends in a language, looked up by name with `format`.
+ * Messages missing from a language fall back to English. `overrides` are keyed
+ * by language and change the wording (and icons) of any message, or add a
+ * language of their own.
+ */
+export default class Messages {
+    constructor(language = "en", overrides = {}) {
+        if(!Messages.languages(overrides).includes(language)) {
+            throw new Error(`I don't speak "${language}". Available languages: ${Messages.languages(overrides).join(", ")}.`);
+        }
+
+        this.language = language;
+        this.catalog = merge({}, LANGUAGES.en, overrides.en, LANGUAGES[language], overrides[language]);
+    }
+
+    /**
+     * Fill in the `{placeholders}` of the message `key`, e.g.
+     * `format("joined", { name: "Jane", handle: "jane" })`. Placeholders
+     * without a value are left as they are.
+     */
+    format(key, params = {}) {
+        const message = get(this.catalog, key);
+
+        if(typeof message !== "string") {
+            throw new Error(`There's no message called "${key}".`);
+        }
+
+        const values = { icon: this.catalog.icons, ...params };
+
+        return message.replace(/\{([\w.]+)\}/g, (placeholder, name) => {
+            const value = get(values, name);
+            return value === undefined || value === null ? placeholder : value;
+        });
+    }
+
+    // How long a duration is, e.g. "2 hours"
+    humanize(duration) {
+        return moment.duration(duration).locale(this.language).humanize();
+    }
+
+    // How far away a time is, e.g. "in 2 days" or without the suffix "2 days"
+    fromNow(date, withoutSuffix = false) {
+        return date.clone().locale(this.language).fromNow(withoutSuffix);
+    }
+
+    formatDate(date) {
+        return date.clone().utc().locale(this.language).format(this.catalog.dateFormat);
+    }
+
+    static languages(overrides = {}) {
+        return uniq([...Object.keys(LANGUAGES), ...Object.keys(overrides)]);
+    }
+
+    /**
+     * Read message overrides from a JSON file, e.g.
+     * `{ "en": { "icons": { "complete": ":+1:" } }, "de": { ... } }`.
+     */
+    static load(filename) {
+        return JSON.parse(fs.readFileSync(path.resolve(filename), "utf8"));
+    }
+}
@@ -0,0 +1,92 @@
+import Promise, { CancellationError } from "bluebird";
+import parseDuration from "./duration";
+
+const ICON_ERROR = ":x:";
+
+/**
+ * Ask a person a question in a direct conversation and wait for a valid answer.
+ * `validate` is either "duration" (hours, accepting e.g. "2h 30m" or "half a
+ * day", see `parseDuration`) or a function that returns the parsed answer or
+ * throws an error, which is sent back to the person so they can try again
+ * (worded by the `retry` function if there is one).
+ * Messages matching the `ignore` pattern aren't treated as answers.
+ * A cancelled prompt rejects with a `CancellationError`.
+ */
+export default class Prompt {
+    constructor(person, options) {
+        this.person = person;
+        this.options = options;
+        this.state = "idle";
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    run() {
+        return new Promise((resolve, reject) => {
+            this.state = "pending";
+            this.resolve = resolve;
+            this.reject = reject;
+            this.person.on("message:received", this.handleMessage);
+            this.person.sendMessage(this.options.message).catch(reject);
+        });
+    }
+
+    handleMessage(message) {
+        if(!this.isPending() || (this.options.ignore && message.content.match(this.options.ignore))) {
+            return;
+        }
+
+        let value;
+
+        try {
+            value = this.validate(message.content.trim());
+        } catch(err) {
+            const { retry = message => `${ICON_ERROR} ${message} Please try again.` } = this.options;
+            return this.person.sendMessage(retry(err.message));
+        }
+
+        this.finalize(value);
+    }
+
+    validate(input) {
+        const { validate } = this.options;
+
+        if(typeof validate === "function") {
+            return validate(input);
+        }
+
+        if(validate === "duration") {
+            return parseDuration(input, { workday: this.options.workday });
+        }
+
+        return input;
+    }
+
+    finalize(value) {
+        if(!this.isPending()) {
+            return;
+        }
+
+        this.value = value;
+        this.state = "complete";
+        this.person.removeListener("message:received", this.handleMessage);
+        this.resolve(value);
+    }
+
+    cancel() {
+        if(!this.isPending()) {
+            return;
+        }
+
+        this.state = "cancelled";
+        this.person.removeListener("message:received", this.handleMessage);
+        this.reject(new CancellationError("Prompt cancelled."));
+    }
+
+    isPending() {
+        return this.state === "pending";
+    }
+}
+
+export function prompt(person, options) {
+    return new Prompt(person, options).run();
+}
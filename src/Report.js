@@ -0,0 +1,178 @@
+import moment from "moment";
+import { sumBy } from "lodash";
+import { round } from "./statistics";
+import Messages from "./Messages";
+
+export const FORMATS = ["md", "csv", "json"];
+
+/**
+ * A snapshot of a session's planning: every task with its votes, average,
+ * final value, who overrode the vote, how long it took and the notes taken,
+ * plus the totals.
+ * Available during the planning with `@bot report [md|csv|json]` and passed
+ * to the session's "complete" event. The markdown is worded by `messages`, CSV
+ * and JSON are the same in every language.
+ */
+export default class Report {
+    constructor(session) {
+        const deck = session.deck;
+        const endTime = session.endTime || moment();
+        const status = round => {
+            if(session.skippedRounds.includes(round)) return "skipped";
+            if(round === session.currentRound) return "current";
+            return typeof round.value === "undefined" ? "pending" : "estimated";
+        };
+
+        const rounds = [
+            ...session.completedRounds,
+            ...session.skippedRounds,
+            ...(session.currentRound ? [session.currentRound] : []),
+            ...session.rounds
+        ];
+
+        this.name = session.name;
+        this.source = session.source ? session.source.type : null;
+        this.deck = deck.name;
+        this.moderator = session.moderator.handle;
+        this.completed = !!session.completed;
+        this.stopped = !!session.stopped;
+        this.startTime = session.startTime ? session.startTime.toISOString() : null;
+        this.endTime = session.completed ? endTime.toISOString() : null;
+        this.duration = session.startTime ? Math.round(moment.duration(endTime.diff(session.startTime)).asSeconds()) : 0;
+
+        this.tasks = rounds.map(round => {
+            const pass = round.passes[round.passes.length - 1];
+            const estimated = typeof round.value !== "undefined";
+
+            return {
+                id: round.task.id,
+                title: round.task.title,
+                link: round.task.link || null,
+                status: status(round),
+                votes: pass ? pass.votes.map(vote => ({ person: vote.person.handle, value: vote.value })) : [],
+                passes: round.passes.length,
+                average: pass ? pass.average : null,
+                suggested: pass ? suggestion(pass) : null,
+                statistics: pass && pass.statistics || null,
+                final: estimated ? round.value : null,
+                hours: estimated ? deck.toHours(round.value) : null,
+                overriddenBy: estimated && round.finalizedBy && (!pass || !round.executed || suggestion(pass) !== round.value) ? round.finalizedBy.handle : null,
+                writeBack: round.writeBack ? round.writeBack.status : null,
+                timesPassed: round.timesPassed,
+                notes: round.notes.map(note => ({ person: note.person.handle, text: note.text })),
+                duration: round.startTime && round.endTime ? Math.round(moment.duration(round.endTime.diff(round.startTime)).asSeconds()) : null
+            };
+        });
+
+        const estimated = this.tasks.filter(task => task.status === "estimated");
+
+        this.totals = {
+            tasks: this.tasks.length,
+            estimated: estimated.length,
+            skipped: this.tasks.filter(task => task.status === "skipped").length,
+            pending: this.tasks.filter(task => task.status === "pending" || task.status === "current").length,
+            passed: this.tasks.filter(task => task.timesPassed > 0).length,
+            overridden: estimated.filter(task => task.overriddenBy).length,
+            hours: round(sumBy(estimated, "hours")),
+            capacity: session.capacity ? session.capacity.total : null
+        };
+    }
+
+    format(type = "md", messages = new Messages()) {
+        switch(type) {
+            case "md":
+                return this.toMarkdown(messages);
+
+            case "csv":
+                return this.toCSV();
+
+            case "json":
+                return JSON.stringify(this, null, 2);
+
+            default:
+                throw new Error(messages.format("unknownReport", { format: type, formats: FORMATS.join(", ") }));
+        }
+    }
+
+    toMarkdown(messages = new Messages()) {
+        const t = (key, params) => messages.format(`report.${key}`, params);
+        const skipped = this.tasks.filter(task => task.status === "skipped");
+        const passed = this.tasks.filter(task => task.timesPassed > 0);
+        const noted = this.tasks.filter(task => task.notes.length);
+
+        return [
+            t("title", {
+                name: this.name || t("untitled"),
+                state: this.stopped ? t("stopped") : this.completed ? "" : t("inProgress")
+            }),
+            t("details", { moderator: this.moderator, deck: this.deck, duration: messages.humanize(moment.duration(this.duration, "seconds")) }),
+            "",
+            t("columns"),
+            "|---|---|---|---|---|---|---|---|",
+            ...this.tasks.filter(task => task.status === "estimated").map((task, i) => [
+                "",
+                i + 1,
+                task.link ? `[${task.title}](${task.link})` : task.title,
+                task.votes.map(vote => `@${vote.person}: ${vote.value}`).join(", ") || "-",
+                formatValue(task.average),
+                formatValue(task.final),
+                formatValue(task.hours),
+                task.overriddenBy ? `@${task.overriddenBy}` : "-",
+                task.duration !== null ? messages.humanize(moment.duration(task.duration, "seconds")) : "-",
+                ""
+            ].join(" | ").trim()),
+            "",
+            t("skipped", { tasks: skipped.length ? skipped.map(task => task.title).join(", ") : t("none") }),
+            t("passed", { tasks: passed.length ? passed.map(task => `${task.title} (${task.timesPassed}x)`).join(", ") : t("none") }),
+            ...(noted.length ? [
+                t("notes"),
+                ...noted.map(task => `* ${task.title}: ${task.notes.map(note => `@${note.person}: ${note.text}`).join("; ")}`)
+            ] : []),
+            t("totals", {
+                ...this.totals,
+                capacity: this.totals.capacity === null ? "" : t("totalsCapacity", { capacity: this.totals.capacity })
+            })
+        ].join("\n");
+    }
+
+    toCSV() {
+        const rows = this.tasks.map(task => [
+            task.id,
+            task.title,
+            task.link,
+            task.status,
+            task.votes.map(vote => `${vote.person}=${vote.value}`).join(";"),
+            task.passes,
+            task.average,
+            task.final,
+            task.hours,
+            task.overriddenBy,
+            task.timesPassed,
+            task.duration,
+            task.notes.map(note => `${note.person}: ${note.text}`).join("\n")
+        ]);
+
+        return [
+            ["id", "title", "link", "status", "votes", "passes", "average", "final", "hours", "overridden_by", "times_passed", "duration_seconds", "notes"],
+            ...rows
+        ].map(row => row.map(escapeCSV).join(",")).join("\n");
+    }
+}
+
+function formatValue(value) {
+    return value === null ? "-" : value;
+}
+
+function escapeCSV(value) {
+    if(value === null || typeof value === "undefined") {
+        return "";
+    }
+
+    value = value.toString();
+    return value.match(/[",\n]/) ? `"${value.replace(/"/g, "\"\"")}"` : value;
+}
+
+// Passes from before suggestions were a thing only have the average
+function suggestion(pass) {
+    return typeof pass.suggested === "undefined" ? pass.average : pass.suggested;
+}
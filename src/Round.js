@@ -1,8 +1,8 @@
 import Promise, { CancellationError } from "bluebird";
 import winston from "winston";
 import { stripIndent } from "common-tags";
-import { Prompt } from "@teamwork/tw-chat/src/util";
-import { zipObject, mapValues, meanBy } from "lodash";
+import Prompt from "./Prompt";
+import { minBy, maxBy } from "lodash";
 import moment from "moment";
 
 export default class Round {
@@ -11,67 +11,484 @@ export default class Round {
         this.session = session;
         this.task = task;
         this.prompts = [];
+        this.votes = [];
+        this.passes = [];
+        this.timesPassed = 0;
+        this.timers = [];
+        this.notes = [];
     }
 
     async execute() {
         winston.info("starting new round");
-        this.startTime = moment();
+
+        // A resumed round picks up where it left off
+        if(!this.resumed) {
+            this.startTime = moment();
+            this.passes = [];
+            this.restoredVotes = null;
+        }
+
+        this.resumed = false;
+        this.executed = false;
 
         // Add the task to the session room
         await this.session.broadcast(this.formatTask());
 
-        // Await the estimates
-        const estimates = await this.getAllEstimates();
+        let pass;
+
+        // Keep voting until the estimates agree or we run out of passes
+        while(true) {
+            pass = await this.executePass();
+            this.passes.push(pass);
+            this.publishReveal(pass);
+
+            await this.session.broadcast(this.formatReveal(pass));
+
+            if(!pass.diverged) {
+                break;
+            }
+
+            if(this.passes.length >= this.session.settings.passes) {
+                await this.session.broadcast(this.session.t("stillDiverging", { count: this.passes.length }));
+                break;
+            }
+
+            await this.session.broadcast(this.formatDivergence(pass));
+        }
 
         this.end();
+        this.executed = true;
+        this.session.changed();
+
+        return this.result;
+    }
+
+    get result() {
+        const pass = this.passes[this.passes.length - 1];
 
         return {
             startTime: this.startTime,
             endTime: this.endTime,
             duration: moment.duration(this.endTime.diff(this.startTime)),
-            estimates: this.prompts,
-            average: meanBy(estimates)
+            estimates: pass.votes,
+            average: pass.average,
+            statistics: pass.statistics,
+            suggested: pass.suggested,
+            passes: this.passes
+        };
+    }
+
+    async executePass() {
+        const startTime = moment();
+
+        winston.info("starting voting pass", { task: this.task.id, pass: this.passes.length + 1 });
+
+        const votes = await this.getAllEstimates();
+
+        return this.createPass(votes, startTime);
+    }
+
+    createPass(votes, startTime) {
+        const deck = this.session.deck;
+        const lowest = minBy(votes, vote => deck.toHours(vote.value));
+        const highest = maxBy(votes, vote => deck.toHours(vote.value));
+        const statistics = deck.statistics(votes.map(vote => vote.value));
+
+        return {
+            number: this.passes.length + 1,
+            startTime,
+            endTime: moment(),
+            votes,
+            revealed: this.revealed,
+            average: deck.average(votes.map(vote => vote.value)),
+            statistics,
+            suggested: this.suggest(statistics),
+            lowest,
+            highest,
+            diverged: votes.length > 1 && isDivergent(deck.toHours(lowest.value), deck.toHours(highest.value), this.session.settings.threshold)
         };
     }
 
     getAllEstimates() {
-        this.prompts = this.session.participants.map(participant => {
+        const deck = this.session.deck;
+        const header = this.passes.length ? "\n" + this.session.t("votingPass", { number: this.passes.length + 1 }) : "";
+
+        // Votes restored from the store count, only ask the people who haven't voted yet
+        this.votes = this.restoredVotes || [];
+        this.restoredVotes = null;
+        this.abstained = this.restoredAbstained || this.abstained || [];
+        this.restoredAbstained = null;
+        this.revealed = false;
+        this.prompts = this.session.voters.filter(participant => {
+            return !this.votes.some(vote => vote.person.handle === participant.handle) &&
+                !this.abstained.some(person => person.handle === participant.handle);
+        }).map(participant => {
             return new Prompt(participant, {
-                message: `${this.formatTask()}\nPlease input a time estimate (in hours) e.g. 0.5, 1, 4`,
-                validate: "float"
+                message: `${this.formatTask()}${header}\n${this.formatEstimateRequest()}`,
+                validate: input => this.session.parseEstimate(input),
+                retry: message => this.session.t("retry", { message }),
+                // Direct message commands (e.g. "status") aren't answers
+                ignore: this.session.directCommands
             });
         });
 
+        this.startTimers();
+        this.session.publish("round:started", {
+            task: this.serializeTask(),
+            pass: this.passes.length + 1,
+            voters: this.session.voters.map(person => person.handle)
+        });
+
         return new Promise((resolve, reject) => {
+            this.resolve = resolve;
             this.reject = reject;
 
-            Promise.all(this.prompts.map(prompt => {
-                return prompt.run().tap(async result => {
-                    // Notify the other when someone has voted
-                    await prompt.person.sendMessage(`:white_check_mark: Thank you. You estimate of ${result} hr(s) has be submitted.`);
-                    await this.session.broadcast(`:heavy_check_mark: ${prompt.person.firstName} has voted.`);
+            this.prompts.forEach(prompt => {
+                prompt.run().then(async result => {
+                    this.votes.push({ person: prompt.person, value: result });
+                    this.session.changed();
+                    this.publishVote(prompt.person);
+
+                    // Notify the other when someone has voted, votes stay hidden until they're revealed
+                    await prompt.person.sendMessage(this.session.t("estimateSubmitted", { estimate: deck.formatVote(result, this.session.messages) }));
+                    await this.session.broadcast(this.session.t("hasVoted", { name: prompt.person.firstName }));
+
+                    this.checkComplete();
+                }).catch(err => {
+                    // Abstaining or closing the round cancels the prompt, the round carries on
+                    if(!(err instanceof CancellationError)) {
+                        reject(err);
+                    }
                 });
-            })).then(resolve, reject);
+            });
+
+            // Everyone may have voted already (e.g. a resumed round)
+            this.checkComplete();
+        }).finally(() => this.stopTimers());
+    }
+
+    checkComplete() {
+        if(this.resolve && !this.prompts.some(prompt => prompt.isPending())) {
+            const resolve = this.resolve;
+
+            this.resolve = this.reject = null;
+            resolve(this.votes);
+        }
+    }
+
+    vote(person, value) {
+        if(!this.resolve) {
+            throw new Error(this.session.t("roundClosed"));
+        }
+
+        const prompt = this.prompts.find(prompt => prompt.person === person);
+
+        if(prompt && prompt.isPending()) {
+            prompt.finalize(value);
+            return false;
+        }
+
+        const vote = this.votes.find(vote => vote.person === person);
+
+        if(!vote) {
+            throw new Error(this.session.t("notVotingOnTask"));
+        }
+
+        // Votes can be changed until they're revealed
+        vote.value = value;
+        this.session.changed();
+        this.publishVote(person, { changed: true });
+        return true;
+    }
+
+    /**
+     * Open the round for asynchronous voting, where votes are collected with
+     * `collect()` in any order until `close()`.
+     */
+    open() {
+        this.startTime = moment();
+        this.passes = [];
+        this.votes = [];
+        this.abstained = [];
+        this.session.publish("round:started", {
+            task: this.serializeTask(),
+            pass: 1,
+            voters: this.session.voters.map(person => person.handle)
         });
     }
 
+    // An async vote or, without a value, an abstention. True when it changed an earlier vote.
+    collect(person, value) {
+        const vote = this.votes.find(vote => vote.person === person);
+
+        this.votes = this.votes.filter(vote => vote.person !== person);
+        this.abstained = this.abstained.filter(abstained => abstained !== person);
+
+        if(typeof value === "undefined") {
+            this.abstained.push(person);
+        } else {
+            this.votes.push({ person, value });
+        }
+
+        this.session.changed();
+        this.publishVote(person, { changed: !!vote, abstained: typeof value === "undefined" });
+        return !!vote;
+    }
+
+    hasVoted(person) {
+        return this.votes.some(vote => vote.person === person) || this.abstained.includes(person);
+    }
+
+    // The collected async votes become the round's only pass
+    close() {
+        this.passes = [this.createPass(this.votes.slice(), this.startTime)];
+        this.end();
+        this.executed = true;
+        this.session.changed();
+        this.publishReveal(this.passes[0], "closed");
+    }
+
+    abstain(person) {
+        if(!this.resolve) {
+            throw new Error(this.session.t("roundClosed"));
+        }
+
+        if(!this.isVoting(person)) {
+            throw new Error(this.session.t("notVotingOnTask"));
+        }
+
+        const prompt = this.prompts.find(prompt => prompt.person === person);
+
+        if(prompt) {
+            prompt.cancel();
+        }
+
+        this.votes = this.votes.filter(vote => vote.person !== person);
+        this.abstained.push(person);
+        this.session.changed();
+        this.publishVote(person, { abstained: true });
+        this.checkComplete();
+    }
+
+    // Only who voted, the votes stay hidden until they're revealed
+    publishVote(person, { changed = false, abstained = false } = {}) {
+        this.session.publish("vote:cast", {
+            task: this.serializeTask(),
+            person: person.handle,
+            changed,
+            abstained,
+            votes: this.votes.length
+        });
+    }
+
+    publishReveal(pass, revealedBy = pass.revealed ? "moderator" : "everyone") {
+        const deck = this.session.deck;
+
+        this.session.publish("round:revealed", {
+            task: this.serializeTask(),
+            pass: pass.number,
+            revealedBy,
+            votes: pass.votes.map(vote => ({ person: vote.person.handle, value: vote.value, hours: deck.toHours(vote.value) })),
+            statistics: pass.statistics,
+            suggested: pass.suggested,
+            diverged: pass.diverged
+        });
+    }
+
+    startTimers() {
+        const { timelimit, reminder } = this.session.settings;
+
+        if(!timelimit) {
+            return;
+        }
+
+        const limit = timelimit * 60 * 1000;
+        const warning = Math.min(60 * 1000, limit / 2);
+        const handleError = error => this.session.broadcastError(error);
+
+        this.deadline = moment().add(limit, "ms");
+        this.timers = [
+            setTimeout(() => this.warn().catch(handleError), limit - warning),
+            setTimeout(() => this.session.timeout(this).catch(handleError), limit)
+        ];
+
+        if(reminder) {
+            this.timers.push(setInterval(() => this.remind().catch(handleError), reminder * 60 * 1000));
+        }
+    }
+
+    stopTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        this.deadline = null;
+    }
+
+    remind() {
+        return Promise.map(this.getEstimatingUsers(), person => person.sendMessage(
+            this.session.t("reminder", { id: this.task.id, left: this.formatTimeLeft() })
+        ));
+    }
+
+    warn() {
+        const waiting = this.getEstimatingUsers();
+
+        if(!waiting.length) {
+            return Promise.resolve();
+        }
+
+        return this.session.broadcast(this.session.t("timeLeftWarning", {
+            left: this.formatTimeLeft(),
+            people: waiting.map(person => "@" + person.handle).join(", ")
+        }));
+    }
+
+    reveal() {
+        if(!this.resolve) {
+            throw new Error(this.session.t("noVotingToReveal"));
+        }
+
+        if(!this.votes.length) {
+            throw new Error(this.session.t("nothingToReveal"));
+        }
+
+        const votes = this.votes.slice();
+
+        this.revealed = true;
+        this.stopTimers();
+        this.resolve(votes);
+        this.resolve = this.reject = null;
+        this.prompts.filter(prompt => prompt.isPending()).forEach(prompt => prompt.cancel());
+    }
+
     cancelAllEstimates() {
-        this.reject(new CancellationError("Estimation cancelled."));
-        this.reject = null;
+        if(this.reject) {
+            this.reject(new CancellationError("Estimation cancelled."));
+        }
+
+        this.stopTimers();
+        this.resolve = this.reject = null;
         this.prompts.forEach(prompt => prompt.cancel());
         this.prompts = [];
+        this.votes = [];
+    }
+
+    isVoting(person) {
+        return !!this.resolve && (
+            this.votes.some(vote => vote.person === person) ||
+            this.prompts.some(prompt => prompt.person === person && prompt.isPending())
+        );
     }
 
     getEstimatingUsers() {
         return this.prompts.filter(prompt => prompt.isPending()).map(prompt => prompt.person);
     }
 
+    formatEstimateRequest() {
+        const deck = this.session.deck;
+
+        if(deck.isFreeform) {
+            return this.session.t("estimateRequest", { example: deck.formatExample() });
+        }
+
+        return this.session.t("pickCard", { deck: deck.describe(this.session.messages), example: deck.formatExample() });
+    }
+
+    formatReveal(pass) {
+        return [
+            this.session.t(pass.revealed ? "revealedByModerator" : "revealedEveryone"),
+            this.formatResultTable(pass.votes),
+            ...(pass.statistics ? ["", this.formatStatistics(pass.statistics)] : [])
+        ].join("\n");
+    }
+
+    suggest(statistics) {
+        const { aggregate, snap } = this.session.settings;
+
+        if(!statistics) {
+            return null;
+        }
+
+        // Without a single most common vote the median is the next best thing
+        const value = aggregate === "mode" && statistics.mode === null ? statistics.median : statistics[aggregate];
+
+        return snap === "on" ? this.session.deck.snap(value) : value;
+    }
+
+    formatDivergence(pass) {
+        const deck = this.session.deck;
+
+        return this.session.t("diverging", {
+            lowest: pass.lowest.person.handle,
+            low: deck.format(pass.lowest.value, this.session.messages),
+            highest: pass.highest.person.handle,
+            high: deck.format(pass.highest.value, this.session.messages),
+            number: pass.number + 1
+        });
+    }
+
+    formatResultTable(votes) {
+        const deck = this.session.deck;
+
+        return stripIndent`
+            | ${this.session.t("resultPerson")} | ${votes.map(vote => vote.person.firstName).join(" | ")} |
+            |---|${votes.map(() => "---").join("|")}|
+            | **${this.session.t("resultEstimate")}** | ${votes.map(vote => deck.format(vote.value, this.session.messages)).join(" | ")} |
+        `;
+    }
+
+    formatStatistics(statistics) {
+        const deck = this.session.deck;
+
+        return stripIndent`
+            ${this.session.t("statisticsHeader")}
+            |---|---|---|---|---|---|---|
+            | ${[statistics.mean, statistics.median, statistics.mode, statistics.min, statistics.max].map(value => deck.format(value, this.session.messages)).join(" | ")} | ${deck.formatSpread(statistics.stddev, this.session.messages)} | ${Math.round(statistics.consensus * 100)}% |
+        `;
+    }
+
+    formatTimeLeft() {
+        return this.deadline ? this.session.messages.humanize(moment.duration(Math.max(this.deadline.diff(moment()), 0))) : this.session.t("noTimeLeft");
+    }
+
     formatTask() {
-        return `---\n:arrow_right: Task #${this.task.id}: ${this.formatTaskLink()}`;
+        return this.session.t("task", { id: this.task.id, task: this.formatTaskLink() });
+    }
+
+    serializeTask() {
+        return { id: this.task.id, title: this.task.title, link: this.task.link || null };
+    }
+
+    addNote(person, text) {
+        this.notes.push({ person, text, time: moment() });
+        this.session.changed();
+    }
+
+    // The outcome of the round for the task's comments: the estimate, the votes and the notes
+    formatComment() {
+        const pass = this.passes[this.passes.length - 1];
+        const votes = pass ? pass.votes : [];
+        const deck = this.session.deck;
+
+        return [
+            this.session.t("commentEstimate", {
+                estimate: deck.format(this.value, this.session.messages),
+                hours: deck.isFreeform ? "" : this.session.t("estimateHours", { hours: deck.toHours(this.value) }),
+                name: this.session.name,
+                by: this.finalizedBy.firstName
+            }),
+            votes.length ? this.session.t("commentVotes", {
+                votes: votes.map(vote => `${vote.person.firstName}: ${deck.formatVote(vote.value, this.session.messages)}`).join(", ")
+            }) : this.session.t("commentNoVotes"),
+            ...(this.notes.length ? [
+                "",
+                this.session.t("commentNotes"),
+                ...this.notes.map(note => this.session.t("commentNote", { name: note.person.firstName, text: note.text }))
+            ] : [])
+        ].join("\n");
     }
 
     formatTaskLink() {
-        return `[${this.task.title}](${this.task.link})`;
+        return this.task.link ? `[${this.task.title}](${this.task.link})` : `**${this.task.title}**`;
     }
 
     end() {
@@ -79,8 +496,99 @@ export default class Round {
         this.endTime = moment();
     }
 
-    finalize(value) {
+    finalize(value, person) {
         this.value = value;
+        this.finalizedBy = person;
         this.end();
     }
-}
\ No newline at end of file
+
+    reopen() {
+        // Forget the outcome so the next execute() is a fresh vote
+        this.value = undefined;
+        this.finalizedBy = null;
+        this.writeBack = null;
+        this.commented = false;
+        this.executed = false;
+        this.votes = [];
+        this.abstained = null;
+    }
+
+    serialize() {
+        return {
+            task: this.task,
+            value: this.value,
+            finalizedBy: this.finalizedBy && this.finalizedBy.handle,
+            writeBack: this.writeBack,
+            commented: !!this.commented,
+            timesPassed: this.timesPassed,
+            executed: !!this.executed,
+            startTime: this.startTime && this.startTime.toISOString(),
+            endTime: this.endTime && this.endTime.toISOString(),
+            votes: this.votes.map(serializeVote),
+            abstained: (this.abstained || []).map(person => person.handle),
+            notes: this.notes.map(note => ({ person: note.person.handle, text: note.text, time: note.time.toISOString() })),
+            passes: this.passes.map(pass => ({
+                ...pass,
+                startTime: pass.startTime.toISOString(),
+                endTime: pass.endTime.toISOString(),
+                votes: pass.votes.map(serializeVote),
+                lowest: pass.lowest && serializeVote(pass.lowest),
+                highest: pass.highest && serializeVote(pass.highest)
+            }))
+        };
+    }
+
+    static restore(session, data) {
+        const round = new Round(session, data.task);
+        const restoreVote = vote => ({ person: session.getPersonByHandle(vote.person), value: vote.value });
+
+        round.value = data.value;
+        round.finalizedBy = data.finalizedBy && session.getPersonByHandle(data.finalizedBy);
+        round.writeBack = data.writeBack;
+        round.commented = data.commented;
+        round.timesPassed = data.timesPassed || 0;
+        round.executed = data.executed;
+        round.startTime = data.startTime ? moment(data.startTime) : undefined;
+        round.endTime = data.endTime ? moment(data.endTime) : undefined;
+        round.notes = (data.notes || []).map(note => ({ ...note, person: session.getPersonByHandle(note.person), time: moment(note.time) }));
+        round.passes = data.passes.map(pass => ({
+            ...pass,
+            startTime: moment(pass.startTime),
+            endTime: moment(pass.endTime),
+            votes: pass.votes.map(restoreVote),
+            lowest: pass.lowest && restoreVote(pass.lowest),
+            highest: pass.highest && restoreVote(pass.highest)
+        }));
+
+        const votes = data.votes.map(restoreVote);
+        const abstained = (data.abstained || []).map(handle => session.getPersonByHandle(handle));
+
+        // Async votes stay collected, there's no voting pass to pick them back up
+        if(session.isAsync) {
+            round.votes = votes;
+            round.abstained = abstained;
+        } else {
+            round.restoredVotes = votes;
+            round.restoredAbstained = abstained;
+        }
+
+        return round;
+    }
+
+    resume() {
+        // A round interrupted mid-vote carries on with the votes it already has
+        this.resumed = !this.executed;
+    }
+}
+
+function serializeVote(vote) {
+    return { person: vote.person.handle, value: vote.value };
+}
+
+function isDivergent(lowest, highest, threshold) {
+    if(lowest <= 0) {
+        return highest > 0;
+    }
+
+    return highest / lowest > threshold;
+}
@@ -1,77 +1,138 @@
 import { EventEmitter } from "events";
-import qs from "qs";
 import winston from "winston";
 import moment from "moment";
 import Promise, { CancellationError } from "bluebird";
-import { prompt } from "@teamwork/tw-chat/src/util";
-import { stripIndent } from "common-tags";
-import { without } from "lodash";
+import Prompt from "./Prompt";
+import { without, fromPairs, pull, sumBy } from "lodash";
 import Round from "./Round";
-
-const ICON_ANNOUNCEMENT = ":microphone:";
-const ICON_WAITING = ":hourglass_flowing_sand:";
-const ICON_ALERT = ":bangbang:";
-const ICON_COMPLETE = ":white_check_mark:";
-const ICON_CELEBRATE = ":shipit:";
-const ICON_QUESTION = ":question:";
-const ICON_ERROR = ":x:";
-const ICON_HELP = ":sos:";
-const ICON_SKIP = ":dash:";
-const ICON_MODERATOR = ":wolf:";
+import Deck from "./Deck";
+import Capacity from "./Capacity";
+import Report, { FORMATS } from "./Report";
+import measureAccuracy from "./Accuracy";
+import { createSource, restoreSource, parsePlanArgs, defaultPlanOptions, filterTasks } from "./sources";
+import { SETTINGS, defaultSettings, parseSetting } from "./settings";
+import parseDuration from "./duration";
+import Messages from "./Messages";
+import { round as roundHours } from "./statistics";
+
+// Timers can't wait much longer than 24 days, and nobody plans that far ahead
+const MAX_DEADLINE_DAYS = 14;
+
+// Commands only the moderator can use, their action is described in the messages
+const MODERATOR_COMMANDS = ["plan", "start", "skip", "pass", "estimate", "reveal", "stop", "undo", "revisit", "commit", "accept", "moderator"];
 
 export default class Session extends EventEmitter {
     room;
     rounds;
     moderator;
 
-    constructor(admin, room, moderator) {
+    constructor(admin, room, moderator, options = {}) {
         super();
 
         this.admin = admin;
+        this.options = { welcomeDelay: 2000, retries: 3, retryDelay: 1000, ...options };
         this.room = room;
         this.moderator = moderator;
         this.rounds = [];
         this.completedRounds = [];
         this.skippedRounds = [];
+        this.observers = [];
+        this.lastActivity = moment();
+        this.deck = Deck.default;
+        this.settings = defaultSettings();
+        this.mode = "live";
+        this.timers = [];
+        this.directListeners = new Map();
+        this.messages = new Messages("en", this.options.messages);
 
         winston.info("create new session", { room: room.id, moderator: moderator.id });
 
-        this.mentionCommands = new RegExp(`^@${room.api.user.handle} (help|start|skip|pass|vote|plan|estimate|status|add)(.*)`);
-        this.directCommands = new RegExp(`^@${room.api.user.handle} (help|stop)(.*)`);
+        this.mentionCommands = new RegExp(`^@${room.api.user.handle} (help|start|skip|pass|voter|vote|plan|estimate|status|deck|reveal|stop|undo|revisit|commit|queue|capacity|observe|moderator|set|report|accuracy|add|accept|language|note)([\\s\\S]*)`);
+        this.directCommands = new RegExp(`^(?:@${room.api.user.handle}\\s+)?(help|status|vote|abstain|stop|estimate|skip|pass)\\b([\\s\\S]*)`, "i");
 
         // Listen for commands in the room
         this.room.on("message:mention", this.handleMention.bind(this));
+        this.room.on("message:received", this.handleRoomMessage.bind(this));
         this.room.on("person:added", this.handleAddedPerson.bind(this));
         this.room.on("person:removed", this.handleRemovedPerson.bind(this));
 
         // Listen for commands from the user
-        this.room.people.forEach(person => person.on("message:received", this.handleDirectMessage.bind(person, this)));
+        this.room.people.forEach(person => this.listen(person));
+    }
+
+    // Listens to the direct messages of `person`, once however often they rejoin
+    listen(person) {
+        if(this.directListeners.has(person.handle)) {
+            return;
+        }
+
+        const listener = message => this.handleDirectMessage(person, message);
+
+        this.directListeners.set(person.handle, { person, listener });
+        person.on("message:received", listener);
+    }
+
+    unlisten(person) {
+        const entry = this.directListeners.get(person.handle);
+
+        if(entry) {
+            entry.person.removeListener("message:received", entry.listener);
+            this.directListeners.delete(person.handle);
+        }
+    }
+
+    unlistenAll() {
+        Array.from(this.directListeners.values()).forEach(({ person }) => this.unlisten(person));
+    }
+
+    isListeningTo(person) {
+        return this.directListeners.has(person.handle);
+    }
+
+    // Someone in several plannings at once only talks to one of them, see `SessionManager#findByPerson`
+    isAddressedBy(person, message) {
+        const { manager } = this.options;
+
+        return !manager || manager.findByDirectMessage(person, message) === this;
     }
 
     async handleAddedPerson(person) {
-        await this.broadcast(`${ICON_ALERT} ${person.firstName} has joined the planning. Hi @${person.handle}!`);
+        this.listen(person);
+        this.changed();
+        this.publishParticipants("joined", person);
+        await this.broadcast(this.t("joined", { name: person.firstName, handle: person.handle }));
         await person.sendMessage(this.formatDirectWelcomeMessage(person));
+
+        if(this.isVotingAsync()) {
+            await person.sendMessage(this.formatBallot());
+        }
     }
 
     async handleRemovedPerson(person) {
-        await this.broadcast(`${ICON_ALERT} ${person.firstName} has left the room.`);
-        await person.sendMessage(`${person.firstName}, you have left or have been removed from planning${this.name ? " " + this.name : ""}, I won't annoy you anymore.`);
+        this.unlisten(person);
+        this.changed();
+        this.publishParticipants("left", person);
+        await this.broadcast(this.t("left", { name: person.firstName }));
+        await person.sendMessage(this.t(this.name ? "leftDirectNamed" : "leftDirect", { name: person.firstName, planning: this.name }));
     }
 
     async init() {
-        await this.room.updateTitle("Sprint Planning Poker");
+        await this.room.updateTitle(this.t("title"));
         await this.help();
-        await this.broadcast(
-            `To begin, @${this.moderator.handle} (the moderator) must select a tasklist to plan. ` +
-            `*Example:* \`@bot plan http://digitalcrew.teamwork.com/#tasklist/124424\``
-        );
+        await this.broadcast(this.t("selectTasklist", { moderator: this.moderator.handle, bot: this.admin.handle }));
 
-        await Promise.delay(2000);
+        await Promise.delay(this.options.welcomeDelay);
         await this.broadcastDirect(person => this.formatDirectWelcomeMessage(person));
     }
 
     handleMention(message) {
+        if(this.cancelled) {
+            return;
+        }
+
         winston.info("session room received mention", { message: message.content, author: message.author.id });
+        this.touch();
+
         return Promise.try(() => {
             if(message.content.match(this.mentionCommands)) {
                 const command = RegExp.$1;
@@ -79,52 +140,153 @@ export default class Session extends EventEmitter {
 
                 winston.info(`mention command: ${command} ${args}`);
 
+                if(MODERATOR_COMMANDS.includes(command)) {
+                    this.assertModerator(message.author, command);
+                }
+
                 switch(command) {
                     case "plan":
                         // Ensure we have a tasklist
-                        const tasklist = args.trim();
+                        if(!args) {
+                            throw new CommandError(this.t("provideTasklist"));
+                        }
+
+                        const { input, options } = parsePlanArgs(args, this.messages);
+
+                        return createSource(this.admin.api, input, { allowPrivateHosts: this.options.allowPrivateHosts, messages: this.messages }).then(source => this.plan(source, options));
+                    break;
+
+                    case "queue":
+                        if(!args) {
+                            return this.broadcast(this.formatQueue());
+                        }
 
-                        if(!tasklist) {
-                            throw new CommandError("Please provide a tasklist to plan.")
+                        this.assertModerator(message.author, "queue");
+
+                        const [task, position] = args.split(/\s+/);
+
+                        return this.queue(task.replace(/^#/, ""), position);
+                    break;
+
+                    case "start":
+                        if(!args) {
+                            return this.start();
                         }
 
-                        // https://1486461376533.teamwork.com/index.cfm#tasklists/434312
-                        if(!tasklist.match(/https?:\/\/([a-zA-Z0-9_\-]+)\.teamwork.com\/index\.cfm#tasklists\/(\d+)/)) {
-                            throw new CommandError("Is that a tasklist URL? I don't recognize it.");
+                        if(!args.match(/^async\s+([\s\S]+)/i)) {
+                            throw new Error(this.t("provideDeadline"));
                         }
 
-                        return this.plan(RegExp.$1, parseInt(RegExp.$2));
+                        return this.startAsync(this.parseDeadline(RegExp.$1));
                     break;
 
                     case "vote":
                         if(!args) {
-                            throw new Error("Please provide an estimate.");
+                            throw new Error(this.t("provideEstimate", { example: `@${this.admin.handle} vote ${this.formatExample()}` }));
                         }
 
-                        return this.vote(message.author, parseEstimate(args));
+                        return this.isAsync ? this.voteAsync(message.author, args) : this.vote(message.author, this.parseEstimate(args));
                     break;
 
                     case "estimate":
-                        if(message.author !== this.moderator) {
-                            throw new Error(`Sorry @${message.author}, only the moderator can set the estimate.`);
+                        if(!args) {
+                            throw new Error(this.t("provideEstimate", { example: `@${this.admin.handle} estimate ${this.formatExample()}` }));
+                        }
+
+                        return this.isAsync ? this.estimateTask(args) : this.override(this.parseEstimate(args), message.author);
+                    break;
+
+                    case "skip":
+                        return args ? this.skipTask(args.replace(/^#/, "")) : this.skip();
+                    break;
+
+                    case "accept":
+                        return this.accept(args);
+                    break;
+
+                    case "deck":
+                        if(!args) {
+                            return this.broadcast(this.t("deckCurrent", { deck: this.deck.describe(this.messages) }));
+                        }
+
+                        this.assertModerator(message.author, "deck");
+
+                        return this.setDeck(Deck.fromInput(args, this.messages));
+                    break;
+
+                    case "revisit":
+                        if(!args) {
+                            throw new Error(this.t("provideRevisit"));
+                        }
+
+                        return this.revisit(args.replace(/^#/, ""));
+                    break;
+
+                    case "observe":
+                    case "voter":
+                        const person = args ? this.findPerson(args) : message.author;
+
+                        if(person !== message.author) {
+                            this.assertModerator(message.author, "role");
+                        }
+
+                        return this.setRole(person, command === "observe" ? "observer" : "voter");
+                    break;
+
+                    case "moderator":
+                        if(!args) {
+                            throw new Error(this.t("provideModerator"));
+                        }
+
+                        return this.setModerator(this.findPerson(args));
+                    break;
+
+                    case "accuracy":
+                        if(!this.options.store) {
+                            throw new Error(this.t("noAccuracyHistory"));
+                        }
+
+                        return measureAccuracy(this.admin.api, this.options.store, args, this.messages).then(accuracy => this.broadcast(accuracy));
+                    break;
+
+                    case "report":
+                        return this.report(args || "md");
+                    break;
+
+                    case "capacity":
+                        if(!args) {
+                            return this.broadcast(this.formatCapacity() || this.t("noCapacity"));
                         }
 
-                        if(!this.currentRound) {
-                            throw new Error(`Sorry, you can't estimate nothing. Please select a tasklist to plan and get started.`);
+                        this.assertModerator(message.author, "capacity");
+
+                        return this.setCapacity(args === "off" ? null : Capacity.fromInput(args, this.messages));
+                    break;
+
+                    case "set":
+                        if(!args) {
+                            return this.broadcast(this.formatSettings());
                         }
 
+                        this.assertModerator(message.author, "set");
+
+                        const [name, ...value] = args.split(/\s+/);
+
+                        return this.set(name, parseSetting(name, value.join(" "), this.messages));
+                    break;
+
+                    case "note":
+                        return this.note(message.author, args);
+                    break;
+
+                    case "language":
                         if(!args) {
-                            throw new Error(`Please provide an estimate. Example: 0.5, 1, 2, 10`);
+                            return this.broadcast(this.t("languageCurrent", { name: this.t("name"), languages: this.formatLanguages() }));
                         }
 
-                        // Manually set the estimates
-                        return this.estimate(parseEstimate(args)).then(() => {
-                            // Cancel the await estimates
-                            this.currentRound.cancelAllEstimates();
+                        this.assertModerator(message.author, "language");
 
-                            // Go to the next round
-                            return this.nextRound();
-                        });
+                        return this.setLanguage(args.toLowerCase());
                     break;
 
                     default:
@@ -132,7 +294,7 @@ export default class Session extends EventEmitter {
                 }
             } else {
                 winston.info("unknown message command", { message: message.content, author: message.author.id });
-                throw new CommandError(`I don't understand your input.`);
+                throw new CommandError(this.t("unknownCommand"));
             }
         }).catch(error => {
             winston.error(error, { message: message.content, room: this.room.id });
@@ -141,268 +303,1585 @@ export default class Session extends EventEmitter {
     }
 
     handleDirectMessage(person, message) {
+        if(this.cancelled || !this.isAddressedBy(person, message)) {
+            return;
+        }
+
         winston.info("private message", { person: person.id, message: message.content });
+        this.touch();
+
+        if(!message.content.match(this.directCommands)) {
+            // Answers to prompts are handled by the prompts themselves
+            if(!this.isPrompting(person)) {
+                return person.sendMessage(this.t("unknownDirect"));
+            }
+
+            return;
+        }
+
+        const command = RegExp.$1.toLowerCase();
+        const args = RegExp.$2.trim();
+
+        winston.info(`direct command: ${command} ${args}`);
+
+        return Promise.try(() => {
+            switch(command) {
+                case "help":
+                    return person.sendMessage(this.formatDirectHelp(person));
+
+                case "status":
+                    return person.sendMessage(this.formatStatus());
+
+                case "vote":
+                    if(!args) {
+                        throw new Error(this.t("provideEstimate", { example: `vote ${this.formatExample()}` }));
+                    }
+
+                    return this.isAsync ? this.voteAsync(person, args) : this.vote(person, this.parseEstimate(args));
+
+                case "abstain":
+                    return this.isAsync ? this.abstainAsync(person, args) : this.abstain(person);
+
+                case "estimate":
+                    this.assertModerator(person, "estimate");
+
+                    if(!args) {
+                        throw new Error(this.t("provideEstimate", { example: `estimate ${this.formatExample()}` }));
+                    }
+
+                    return this.isAsync ? this.estimateTask(args) : this.override(this.parseEstimate(args), person);
+
+                case "skip":
+                    this.assertModerator(person, "skip");
+                    return args ? this.skipTask(args.replace(/^#/, "")) : this.skip();
+
+                default:
+                    this.assertModerator(person, command);
+                    return this[command]();
+            }
+        }).catch(error => {
+            winston.error(error, { message: message.content, person: person.id });
+            return person.sendMessage(this.t("error", { message: error.message }));
+        });
+    }
+
+    // The `action` is the command, described by its message in `actions`
+    assertModerator(person, action) {
+        if(person !== this.moderator) {
+            throw new Error(this.t("onlyModerator", { handle: person.handle, action: this.t(`actions.${action}`) }));
+        }
+    }
+
+    assertLive(action) {
+        if(this.isAsync) {
+            throw new Error(this.t("liveOnly", { action: this.t(`actions.${action}`) }));
+        }
+    }
+
+    findPerson(input) {
+        const handle = input.trim().replace(/^@/, "");
+        const person = this.participants.find(person => person.handle === handle);
+
+        if(!person) {
+            throw new Error(this.t("notInPlanning", { handle }));
+        }
+
+        return person;
+    }
+
+    async setRole(person, role) {
+        const observing = this.isObserver(person);
+
+        if(role === "observer" && !observing) {
+            this.observers.push(person.handle);
+
+            // Observers don't hold up the round they're in
+            if(this.currentRound && this.currentRound.isVoting(person)) {
+                this.currentRound.abstain(person);
+            }
+        } else if(role === "voter" && observing) {
+            pull(this.observers, person.handle);
+        }
+
+        this.changed();
+        this.publishParticipants(role, person);
+        await this.broadcast(this.t(
+            role === "observer" ? "nowObserving" : this.currentRound ? "nowVoterNextTask" : "nowVoter",
+            { name: person.firstName }
+        ));
+    }
+
+    async setModerator(person) {
+        if(person === this.moderator) {
+            throw new Error(this.t("alreadyModerator", { handle: person.handle }));
+        }
+
+        // The final estimate prompt is with the current moderator
+        if(this.finalPrompt && this.finalPrompt.isPending()) {
+            throw new Error(this.t("pickFinalFirst"));
+        }
+
+        const previous = this.moderator;
+
+        this.moderator = person;
+        this.changed();
+        this.publishParticipants("moderator", person);
+        await this.broadcastAll(this.t("handedOver", { name: previous.firstName, handle: person.handle }));
+    }
+
+    isObserver(person) {
+        return this.observers.includes(person.handle);
+    }
+
+    isPrompting(person) {
+        if(this.finalPrompt && this.finalPrompt.isPending() && this.finalPrompt.person === person) {
+            return true;
+        }
+
+        return !!this.currentRound && this.currentRound.getEstimatingUsers().includes(person);
     }
 
     async start() {
+        if(this.isAsync) {
+            throw new Error(this.t(this.votingClosed ? "asyncRunningClosed" : "asyncRunning", { deadline: this.messages.formatDate(this.deadline) }));
+        }
+
         if(!this.rounds.length) {
-            throw new Error([
-                "Can't start sprint planning without tasks. Please ",
-                `provide a tasklist with like "@${this.admin.handle} plan <tasklist>`
-            ].join(""));
+            throw new Error(this.t("noTasks", { bot: this.admin.handle }));
+        }
+
+        // Resuming, or voting again on a task put back during the review, isn't a new start
+        if(!this.startTime) {
+            this.startTime = moment();
+            this.publish("session:started", { mode: this.mode, tasks: this.rounds.length, deadline: null });
         }
 
         this.planning = true;
-        this.startTime = moment();
+        this.changed();
 
-        while(this.currentRound = this.rounds.shift()) {
+        while(!this.stopped && (this.currentRound = this.rounds.shift())) {
             winston.info("moving to the next round");
             let result;
 
             try {
-                result = await this.currentRound.execute();
+                // A round restored after voting finished only needs the final estimate
+                result = this.currentRound.executed ? this.currentRound.result : await this.currentRound.execute();
             } catch(err) {
                 // If the moderator manually sets the esimate, we cancel the currently executing round
                 if(err instanceof CancellationError) {
-                    await this.broadcastDirect(`:no_entry: No need to estimate the last task, we're skipping it for now.`);
+                    if(this.stopped) {
+                        return;
+                    }
+
+                    await this.broadcastDirect(this.t("taskCancelled"));
 
                     continue;
                 } else throw err;
             } 
 
-            await this.broadcastAll(`${ICON_COMPLETE} Voting complete. Average estimate: **${result.average}**`);
-            await this.broadcast(formatResultTable(result.estimates));
-            await this.broadcastAll(`${ICON_WAITING} Awaiting moderator to select final estimate.`);
+            const aggregate = this.t(`aggregates.${this.settings.aggregate}`);
+            const suggested = this.deck.format(result.suggested, this.messages);
+
+            await this.broadcastAll(this.t("votingComplete", { aggregate, estimate: suggested, correction: this.formatCorrection(result.suggested) }));
+            await this.broadcastAll(this.t("awaitingFinal"));
 
-            const final = await prompt(this.moderator, {
-                message: `${ICON_QUESTION} Please select final estimate for task #${this.currentRound.task.id}. Average was ${result.average}.`,
-                validate: "float"
+            this.finalPrompt = new Prompt(this.moderator, {
+                message: this.t("selectFinal", { id: this.currentRound.task.id, aggregate, estimate: suggested, cards: this.deck.formatCards(this.messages) }),
+                validate: input => this.parseEstimate(input),
+                retry: message => this.t("retry", { message }),
+                ignore: this.directCommands
             });
 
-            await this.broadcastAll(`${ICON_ANNOUNCEMENT} Moderator has picked final estimate of ${final} hours.`);
-            await this.estimate(final);
+            let final;
+
+            try {
+                final = await this.finalPrompt.run();
+            } catch(err) {
+                // Stopping or cancelling the planning cancels the prompt too
+                if(err instanceof CancellationError) {
+                    return;
+                }
+
+                throw err;
+            }
+
+            this.finalPrompt = null;
+
+            await this.broadcastAll(this.t("finalPicked", { estimate: this.deck.format(final, this.messages) }));
+            await this.estimate(final, this.moderator);
             await this.nextRound();
         }
 
-        this.currentRound = null;
-        this.endTime = moment();
-        this.duration = moment.duration(this.endTime.diff(this.startTime));
-        this.planning = false;
-        this.completed = true;
+        if(!this.stopped) {
+            await this.finish();
+        }
+    }
 
-        await this.broadcastAll(`${ICON_CELEBRATE} Sprint planning complete. It only took ${this.duration.humanize()}.`);
-        await this.broadcast(this.completedRounds.map((round, i) => `${i}. ${round.formatTaskLink()} - **${round.value}**`).join("\n"));
+    /**
+     * Open every task for voting at once until the `deadline`, for teams that
+     * can't get together. Voters vote on the tasks in any order, get a digest
+     * of what they haven't voted on before the deadline and the moderator
+     * reviews and accepts the results once voting closes.
+     */
+    async startAsync(deadline) {
+        if(this.planning) {
+            throw new Error(this.t("alreadyStarted"));
+        }
+
+        if(!this.rounds.length) {
+            throw new Error(this.t("noTasks", { bot: this.admin.handle }));
+        }
 
-        this.emit("complete");
+        this.mode = "async";
+        this.deadline = deadline;
+        this.planning = true;
+        this.startTime = moment();
+        this.publish("session:started", { mode: this.mode, tasks: this.rounds.length, deadline: deadline.toISOString() });
+        this.rounds.forEach(round => round.open());
+        this.changed();
+        this.startAsyncTimers();
+
+        await this.broadcast(this.t("asyncOpen", {
+            count: this.rounds.length,
+            deadline: this.messages.formatDate(deadline),
+            relative: this.messages.fromNow(deadline)
+        }));
+        await Promise.map(this.voters, person => person.sendMessage(this.formatBallot()));
     }
 
-    async plan(installation, tasklist) {
-        if(this.rounds.length || this.planning) {
-            throw new Error("Cannot plan another tasklist when we're already planning!");
+    startAsyncTimers() {
+        const left = Math.max(this.deadline.diff(moment()), 0);
+        const handleError = error => this.broadcastError(error);
+
+        this.stopAsyncTimers();
+        this.timers.push(setTimeout(() => this.closeVoting().catch(handleError), left));
+
+        // The digest goes out halfway through when the deadline is closer than the `digest` setting
+        if(this.settings.digest && !this.digestSent) {
+            this.timers.push(setTimeout(() => this.sendDigest().catch(handleError), left - Math.min(this.settings.digest * 60 * 60 * 1000, left / 2)));
         }
+    }
+
+    stopAsyncTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    isVotingAsync() {
+        return this.isAsync && this.planning && !this.votingClosed;
+    }
 
-        // Get the tasks. Once we get the whole API together in one module, this will be awesome
-        this.tasklist = (await this.admin.api.request(`/tasklists/${tasklist}.json`))["todo-list"];
-        const tasks = (await this.admin.api.request(`/tasklists/${parseInt(tasklist)}/tasks.json`))["todo-items"];
+    async voteAsync(person, args) {
+        const [round, input] = this.parseTaskArgs(args, `vote #<task> ${this.formatExample()}`);
 
-        if(!tasks || !tasks.length) {
-            throw new Error("Your tasklist doesn't seem to have any tasks!");
+        this.assertVotingAsync(person);
+
+        if(!input) {
+            throw new Error(this.t("provideEstimate", { example: `vote #${round.task.id} ${this.formatExample()}` }));
         }
 
-        this.rounds = tasks.map(task => new Round(this, {
-            id: task.id,
-            installation,
-            estimate: task["estimated-minutes"],
-            title: task.content,
-            link: `https://${installation}.teamwork.com/index.cfm#tasks/${task.id}`
-        }));
+        const estimate = this.parseEstimate(input);
+        const changed = round.collect(person, estimate);
 
-        await this.broadcast(
-            `${ICON_ANNOUNCEMENT} Okay, we're going to plan the **${this.tasklist.name}** tasklist. ` + 
-            `${ICON_WAITING} There are ${tasks.length} tasks to plan. To start, @${this.moderator.handle} ping me to start (\`@${this.admin.handle} start\`).`
-        );
+        await person.sendMessage(this.t(changed ? "asyncVoteChanged" : "asyncVoteSubmitted", { id: round.task.id, estimate: this.deck.formatVote(estimate, this.messages) }));
 
-        this.name = this.tasklist.name;
-        await this.room.updateTitle(`Sprint planning poker: ${this.name}`);
+        await this.checkAllVoted();
     }
 
-    async estimate(estimate) {
-        if(!this.planning) {
-            throw new Error("There is no current task to set the estimate for, sorry!");
-        }
-
-        this.currentRound.finalize(estimate);
-
-        const hours = Math.floor(estimate);
-        const minutes = Math.floor((estimate - hours) * 60);
-
-        await this.admin.api.request("/?action=invoke.tasks.OnSetTaskEstimates()", { // I know about `query`, the API complains >.>
-            method: "POST",
-            raw: true,
-            headers: {
-                "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
-                "twProjectsVer": "2.0"
-            },
-            body: qs.stringify({
-                projectId: this.tasklist.projectId,
-                taskId: this.currentRound.task.id,
-                taskEstimateHours: hours,
-                taskEstimateMins: minutes
-            })
-        });
+    async abstainAsync(person, args) {
+        const [round] = this.parseTaskArgs(args, "abstain #<task>");
 
-        await this.broadcast(`${ICON_COMPLETE} Updating task **${this.currentRound.task.title}** with an estimate of **${estimate}** hr(s).`);
+        this.assertVotingAsync(person);
+        round.collect(person);
+
+        await person.sendMessage(this.t("asyncAbstained", { id: round.task.id }));
+        await this.checkAllVoted();
     }
 
-    async vote(person, estimate) {
-        if(!this.planning) {
-            throw new Error("There is not task to vote on!");
+    assertVotingAsync(person) {
+        if(!this.isVotingAsync()) {
+            throw new Error(this.t("asyncVotingClosed"));
         }
 
-        const prompt = this.currentRound.prompts.find(prompt => prompt.person === person);
-
-        if(prompt.isPending()) {
-            prompt.finalize(estimate);
-        } else {
-            throw new Error("Already voted!");
+        if(!this.voters.includes(person)) {
+            throw new Error(this.t("notVoting"));
         }
     }
 
-    async nextRound() {
-        this.completedRounds.push(this.currentRound);
-        const completed = this.completedRounds.length;
-        const pending = this.rounds.length;
-        const total = completed + pending;
-        await this.broadcast(`${ICON_ANNOUNCEMENT} Moving to next task (#${completed} of ${total}, ${pending} to go).`);
-    }
+    // The queued task and whatever follows it, e.g. "#101 4"
+    parseTaskArgs(args, example) {
+        const [id, ...rest] = args.trim().split(/\s+/);
 
-    async skip() {
-        if(!this.planning) {
-            throw new Error(`There is no task to skip!`);
+        if(!id) {
+            throw new Error(this.t("provideTask", { example }));
         }
 
-        this.currentRound.cancelAllEstimates();
-        this.skippedRounds.push(this.currentRound);
-        await this.broadcastAll(`${ICON_SKIP} Skipping task ${this.currentRound.formatTaskLink()}. Removing it from the planning.`);
+        return [this.findQueued(id.replace(/^#/, "")), rest.join(" ")];
     }
 
-    async pass() {
-        if(!this.planning) {
-            throw new Error(`There is no task to pass!`);
+    findQueued(id) {
+        const round = this.rounds.find(round => String(round.task.id) === id);
+
+        if(!round) {
+            throw new Error(this.t("notWaiting", { id }));
         }
 
-        this.currentRound.cancelAllEstimates();
-        this.rounds.push(this.currentRound);
-        await this.broadcastAll(`${ICON_SKIP} Hold up, we'll complete this task later. Pushing task to end of the queue.`);
+        return round;
     }
 
-    help() {
-        const handle = `@${this.admin.handle}`;
-        return this.broadcast(stripIndent`
-            ${ICON_HELP} **Sprint Poker Planning Help**
-            * *"${handle} plan <tasklist url>"* to set the tasklist to plan.
-            * *"${handle} start"* to begin the planning.
-            * *"${handle} skip"* to skip planning a task.
-            * *"${handle} pass"* to push the task to the end of the planning queue.
-            * *"${handle} estimate <hours>"* to manually set the estimate (only the moderator, @${this.moderator.handle}, can do this).
-            * *"${handle} vote <hours>"* to publically vote your estimate during a round.
-            * *"${handle} status"* to get who is still current estimating.
-            * *To add or remove user's from the sprint planning, use the people tab.*
-        `);
+    async checkAllVoted() {
+        if(this.rounds.every(round => this.voters.every(person => round.hasVoted(person)))) {
+            await this.broadcast(this.t("everyoneVoted"));
+            await this.closeVoting();
+        }
     }
 
-    status() {
-        let output = [
-            `${ICON_MODERATOR} ${this.moderator.firstName} is the moderator.`,
-            `${ICON_COMPLETE} ${this.completedRounds.length} of ${this.rounds.length} tasks estimated.`
-        ];
+    async sendDigest() {
+        this.digestSent = true;
+        this.changed();
 
-        if(this.planning) {
-            const estimating = this.currentRound.getEstimatingUsers();
+        const left = this.messages.fromNow(this.deadline, true);
 
-            output.push(`${ICON_ANNOUNCEMENT} Current task: [${this.currentRound.task.title}](${this.currentRound.task.link})`);
+        await Promise.map(this.voters, person => {
+            const missing = this.rounds.filter(round => !round.hasVoted(person));
 
-            if(estimating.length) {
-                output.push(`${ICON_WAITING} ${estimating.map(p => "@" + p.handle).join(", ")} are still estimating.`);
-            } 
-        }
+            if(missing.length) {
+                return person.sendMessage([
+                    this.t("digest", { left }),
+                    ...missing.map(round => this.t("taskItem", { id: round.task.id, task: round.formatTaskLink() }))
+                ].join("\n"));
+            }
+        });
 
-        if(this.completed) {
-            output.push(`${ICON_CELEBRATE} Sprint planning complete.`);
+        await this.broadcast(this.t("digestRoom", { left, progress: this.formatAsyncProgress() }));
+    }
+
+    async closeVoting() {
+        if(!this.isVotingAsync()) {
+            throw new Error(this.t("noAsyncVoting"));
         }
 
+        // The moderator has the idle time from here to accept the results
+        this.votingClosed = true;
+        this.touch();
+        this.stopAsyncTimers();
+        this.rounds.forEach(round => round.close());
+        this.changed();
 
-        return this.room.sendMessage(output.join("\n"));
+        await this.broadcastAll(this.t("votingClosed", { name: this.name, moderator: this.moderator.handle }));
+        await this.broadcast(this.formatAsyncResults());
+        await this.broadcast(this.t("acceptHelp", { moderator: this.moderator.handle, bot: this.admin.handle }));
     }
 
-    broadcast(message) {
-        if(Array.isArray(message)) {
-            message = message.join("");
+    async accept(args) {
+        if(!this.isAsync || !this.votingClosed || !this.planning) {
+            throw new Error(this.t("nothingToAccept"));
         }
 
-        winston.info("broadcasting: " + message);
-        return this.room.sendMessage(message);
-    }
+        const rounds = args ? args.split(/[\s,]+/).map(id => this.findQueued(id.replace(/^#/, ""))) : this.rounds.slice();
+        const unvoted = rounds.filter(round => round.result.suggested === null);
 
-    broadcastDirect(message) {
-        return Promise.map(this.participants, person => {
-            message = typeof message === "function" ? message(person) : message;
+        if(args && unvoted.length) {
+            throw new Error(this.t("nobodyVoted", { tasks: unvoted.map(round => `#${round.task.id}`).join(", ") }));
+        }
 
-            if(Array.isArray(message)) {
-                message = message.join("");
-            }
+        const before = this.getPlannedHours();
 
-            return person.sendMessage(message);
-        });
-    }
+        await Promise.mapSeries(without(rounds, ...unvoted), round => this.finalizeRound(round, round.result.suggested, this.moderator));
 
-    broadcastError(error) {
-        return this.broadcast(`${ICON_ERROR} ${error.message}`);
-    }
+        if(unvoted.length) {
+            pull(this.rounds, ...unvoted);
+            this.skippedRounds.push(...unvoted);
+            this.changed();
+            unvoted.forEach(round => this.publish("task:skipped", { task: round.serializeTask() }));
+            await this.broadcast(this.t("skippingUnvoted", { tasks: unvoted.map(round => round.formatTaskLink()).join(", ") }));
+        }
 
-    broadcastAll(message) {
-        winston.info("broadcast all");
-        return Promise.all([
-            this.broadcast(message),
-            this.broadcastDirect(message)
-        ]);
+        await this.reportCapacity(before);
+        await this.checkAsyncDone();
     }
 
-    get participants() {
-        return without(this.room.people, this.admin);
-    }
+    async estimateTask(args) {
+        const [round, input] = this.parseTaskArgs(args, `estimate #<task> ${this.formatExample()}`);
 
-    formatDirectWelcomeMessage(person) {
-        return (
-            `Hi @${person.handle}, you've been included in Sprint Planning Poker with ` + 
-            `${without(this.participants, person).map(person => person.firstName).join(", ")}. I'll be asking ` +
-            `you for estimates soon when the planning starts.`
-        );
-    }
-}
+        if(!input) {
+            throw new Error(this.t("provideEstimate", { example: `estimate #${round.task.id} ${this.formatExample()}` }));
+        }
 
-class CommandError extends Error {
-    constructor(message, offender) {
-        super();
-        this.message = message;
-        this.offender = offender;
+        const before = this.getPlannedHours();
+
+        await this.finalizeRound(round, this.parseEstimate(input), this.moderator);
+        await this.reportCapacity(before);
+        await this.checkAsyncDone();
     }
-}
 
-function parseEstimate(input) {
-    const estimate = parseFloat(input);
+    async finalizeRound(round, estimate, person) {
+        // Tasks estimated while voting is still open keep the votes they have so far
+        if(!round.executed) {
+            round.close();
+        }
 
-    if(isNaN(estimate)) {
-        throw new Error(`Invalid estimate ${input}.`);
+        pull(this.rounds, round);
+        await this.estimate(estimate, person, round);
+        this.completedRounds.push(round);
+        this.changed();
     }
 
-    return estimate;
-}
+    async checkAsyncDone() {
+        if(this.isAsync && this.planning && !this.rounds.length) {
+            await this.finish();
+        }
+    }
+
+    async finish() {
+        const unwritten = this.getUnwritten();
+
+        if(unwritten.length && this.settings.writeback === "immediate") {
+            await this.writeAll(unwritten);
+        }
+
+        // Nothing is written in a dry run so there's nothing to wait for
+        if(!this.getUnwritten().length) {
+            return this.complete();
+        }
+
+        this.reviewing = true;
+        this.changed();
+
+        await this.broadcastAll(this.t("reviewEstimates", { source: this.source.name }));
+        await this.broadcast(this.getUnwritten().map(round => this.t(round.writeBack.error ? "reviewItemFailed" : "reviewItem", {
+            task: round.formatTaskLink(),
+            estimate: this.deck.format(round.value, this.messages),
+            error: round.writeBack.error
+        })).join("\n"));
+        await this.broadcast(this.t("reviewHelp", { moderator: this.moderator.handle, bot: this.admin.handle }));
+    }
+
+    async commit() {
+        if(!this.source || !this.source.canWriteBack) {
+            throw new Error(this.t("cantCommit"));
+        }
+
+        if(this.settings.writeback === "dry-run") {
+            throw new Error(this.t("dryRunCommit"));
+        }
+
+        const rounds = this.getUnwritten();
+
+        if(!rounds.length) {
+            throw new Error(this.t("allWritten"));
+        }
+
+        await this.broadcast(this.t("writing", { count: rounds.length, source: this.source.name }));
+        await this.writeAll(rounds);
+        await this.broadcast(this.formatWriteBackSummary(rounds));
+
+        if(this.reviewing && !this.getUnwritten().length) {
+            this.reviewing = false;
+            await this.complete();
+        }
+    }
+
+    async writeAll(rounds) {
+        await Promise.mapSeries(rounds, round => this.writeBack(round));
+    }
+
+    async writeBack(round) {
+        try {
+            await this.writeEstimate(round.task, this.deck.toHours(round.value));
+            round.writeBack = { status: "written" };
+        } catch(err) {
+            round.writeBack = { status: "failed", error: err.message };
+        }
+
+        // Comment once the estimate is really on the task, e.g. not before a batched planning is committed
+        if(round.writeBack.status === "written" && !round.commented && this.source.canCommentOn(round.task) && this.settings.comment === "on") {
+            round.commented = await this.comment(round);
+        }
+
+        this.changed();
+        return round.writeBack.status === "written";
+    }
+
+    // Write `total` hours to the task, retrying a few times before giving up
+    async writeEstimate(task, total) {
+        const { retries, retryDelay } = this.options;
+        const hours = Math.floor(Math.round(total * 60) / 60);
+        const minutes = Math.round(total * 60) % 60;
+
+        for(let attempt = 1; ; attempt++) {
+            try {
+                return await this.source.estimate(task, hours, minutes);
+            } catch(err) {
+                winston.error("unable to write estimate", { task: task.id, attempt, error: err.message });
+
+                if(attempt >= retries) {
+                    throw err;
+                }
+
+                await Promise.delay(retryDelay * attempt);
+            }
+        }
+    }
+
+    // A missing comment doesn't hold up the planning, the notes are still in the report
+    async comment(round, body = round.formatComment()) {
+        try {
+            await this.source.comment(round.task, body);
+            return true;
+        } catch(err) {
+            winston.error("unable to comment on task", { task: round.task.id, error: err.message });
+            await this.broadcast(this.t("commentFailed", { title: round.task.title, error: err.message }));
+            return false;
+        }
+    }
+
+    getUnwritten() {
+        if(!this.source || !this.source.canWriteBack || this.settings.writeback === "dry-run") {
+            return [];
+        }
+
+        return this.completedRounds.filter(round => round.writeBack && round.writeBack.status !== "written");
+    }
+
+    async complete() {
+        this.stopAsyncTimers();
+        this.currentRound = null;
+        this.endTime = moment();
+        this.duration = moment.duration(this.endTime.diff(this.startTime));
+        this.planning = false;
+        this.completed = true;
+        this.unlistenAll();
+        this.changed();
+        this.publishStopped(this.stopped ? "stopped" : "completed");
+
+        const duration = this.messages.humanize(this.duration);
+
+        if(this.stopped) {
+            await this.broadcastAll(this.t("stopped", { duration, count: this.rounds.length }));
+        } else {
+            await this.broadcastAll(this.t("complete", { duration }));
+        }
+
+        if(this.completedRounds.length) {
+            await this.broadcast(this.completedRounds.map((round, i) => this.t("summaryItem", {
+                number: i + 1,
+                task: round.formatTaskLink(),
+                estimate: this.deck.format(round.value, this.messages)
+            })).join("\n"));
+
+            if(this.source.canWriteBack) {
+                await this.broadcast(this.formatWriteBackSummary(this.completedRounds.filter(round => this.source.canWriteBackTo(round.task))));
+            }
+
+            if(this.capacity) {
+                await this.broadcast(this.formatCapacity());
+            }
+        }
+
+        await this.broadcast(this.t("reportHelp", { bot: this.admin.handle }));
+
+        this.emit("complete", new Report(this));
+    }
+
+    async stop() {
+        if(!this.planning) {
+            throw new Error(this.t("noPlanningToStop"));
+        }
+
+        this.stopped = true;
+
+        // The interrupted task goes back in the queue so it shows up as not estimated
+        if(this.finalPrompt) {
+            this.finalPrompt.cancel();
+            this.finalPrompt = null;
+        }
+
+        if(this.currentRound) {
+            this.rounds.unshift(this.currentRound);
+            this.currentRound.cancelAllEstimates();
+        }
+
+        await this.complete();
+    }
+
+    async override(estimate, person) {
+        if(!this.planning || !this.currentRound) {
+            throw new Error(this.t("estimateNothing"));
+        }
+
+        // Voting is over and we're waiting on the moderator, so this is their answer
+        if(this.finalPrompt && this.finalPrompt.isPending()) {
+            return this.finalPrompt.finalize(estimate);
+        }
+
+        // Manually set the estimates
+        await this.estimate(estimate, person);
+
+        // Cancel the await estimates
+        this.currentRound.cancelAllEstimates();
+
+        // Go to the next round
+        await this.nextRound();
+    }
+
+    async plan(source, options = defaultPlanOptions()) {
+        if(this.rounds.length || this.planning) {
+            throw new Error(this.t("alreadyPlanning"));
+        }
+
+        const other = this.options.manager && this.options.manager.findBySource(source);
+
+        if(other && other !== this) {
+            throw new Error(this.t("plannedElsewhere", { name: other.name, room: other.room.id, bot: this.admin.handle }));
+        }
+
+        const loaded = await source.load();
+
+        if(!loaded || !loaded.length) {
+            throw new Error(this.t("noTasksInSource"));
+        }
+
+        const assignees = await Promise.map(options.assignees, handle => this.admin.getPersonByHandle(handle));
+        const tasks = filterTasks(loaded, options, assignees.map(person => person.id));
+        const filtered = loaded.length - tasks.length;
+
+        if(!tasks.length) {
+            throw new Error(this.t("nothingMatches", { count: loaded.length, name: source.name }));
+        }
+
+        this.source = source;
+        this.rounds = tasks.map(task => new Round(this, task));
+        this.name = source.name;
+        this.publish("session:planned", { source: source.type, tasks: this.rounds.map(round => round.serializeTask()), filtered });
+
+        await this.broadcast(this.t("planning", {
+            name: source.name,
+            source: this.t(`sources.${["teamwork", "multiple"].includes(source.type) ? source.type : "other"}`),
+            count: tasks.length,
+            filtered: filtered ? this.t("filteredOut", { count: filtered }) : "",
+            moderator: this.moderator.handle,
+            bot: this.admin.handle
+        }));
+
+        if(!source.canWriteBack) {
+            await this.broadcast(this.t("cantWriteBack", { source: source.name }));
+        }
+
+        this.changed();
+        await this.room.updateTitle(this.t("titlePlanning", { name: this.name }));
+    }
+
+    async queue(id, position) {
+        const round = this.rounds.find(round => String(round.task.id) === id);
+        const index = parseInt(position) - 1;
+
+        if(!round) {
+            throw new Error(this.t("notInQueue", { id }));
+        }
+
+        if(isNaN(index) || index < 0 || index >= this.rounds.length) {
+            throw new Error(this.t("invalidPosition", { count: this.rounds.length, id }));
+        }
+
+        pull(this.rounds, round);
+        this.rounds.splice(index, 0, round);
+        this.changed();
+
+        await this.broadcast(this.formatQueue());
+    }
+
+    // The discussion of the current round, captured when the `capture` setting is on
+    handleRoomMessage(message) {
+        const round = this.currentRound;
+
+        if(this.cancelled || this.isAsync || !round || this.settings.capture !== "on") {
+            return;
+        }
+
+        if(message.author.handle === this.admin.handle || message.content.includes(`@${this.admin.handle}`)) {
+            return;
+        }
+
+        round.addNote(message.author, message.content.trim());
+    }
+
+    async note(person, args) {
+        let round = this.currentRound;
+        let text = args;
+
+        if(this.isAsync && this.planning) {
+            [round, text] = this.parseTaskArgs(args, "note #<task> <text>");
+        }
+
+        if(!round) {
+            throw new Error(this.t("noTaskToNote"));
+        }
+
+        if(!text) {
+            throw new Error(this.t("provideNote", { example: `@${this.admin.handle} note ${this.isAsync ? `#${round.task.id} ` : ""}needs a migration` }));
+        }
+
+        round.addNote(person, text);
+
+        await this.broadcast(this.t("noteAdded", { id: round.task.id }));
+    }
+
+    async estimate(estimate, person, round = this.currentRound) {
+        if(!this.planning) {
+            throw new Error(this.t("noCurrentTask"));
+        }
+
+        round.finalize(estimate, person);
+        this.changed();
+
+        const total = this.deck.toHours(estimate);
+
+        this.publish("estimate:finalized", {
+            task: round.serializeTask(),
+            value: estimate,
+            formatted: this.deck.format(estimate),
+            hours: total,
+            by: person.handle
+        });
+        this.record(round, total);
+
+        // Only the tasks the source can write back to have a write back to track
+        round.writeBack = this.source.canWriteBackTo(round.task) ?
+            { status: this.settings.writeback === "immediate" ? "pending" : this.settings.writeback } :
+            null;
+
+        // A failed write doesn't stop the planning, it's retried when the planning is done
+        if(round.writeBack && round.writeBack.status === "pending" && !await this.writeBack(round)) {
+            await this.broadcast(this.t("writeFailed", { title: round.task.title, error: round.writeBack.error }));
+        }
+
+        await this.broadcast(this.t(round.writeBack && this.settings.writeback === "immediate" ? "updating" : "recording", {
+            title: round.task.title,
+            estimate: this.deck.format(estimate, this.messages),
+            hours: this.deck.isFreeform ? "" : this.t("estimateHours", { hours: total })
+        }));
+    }
+
+    async undo() {
+        if(!this.canRevise()) {
+            throw new Error(this.t("noPlanningToUndo"));
+        }
+
+        this.assertLive("undo");
+
+        const round = this.completedRounds[this.completedRounds.length - 1];
+
+        if(!round) {
+            throw new Error(this.t("nothingToUndo"));
+        }
+
+        const value = round.value;
+
+        // The estimate stays if it can't be put back on the task
+        const reverted = await this.revert(round);
+        pull(this.completedRounds, round);
+        round.reopen();
+
+        // Straight back up next so the typo can be fixed right away
+        this.rounds.unshift(round);
+        this.changed();
+
+        await this.broadcastAll(this.t(reverted ? "undoneReverted" : "undone", {
+            estimate: this.deck.format(value, this.messages),
+            task: round.formatTaskLink(),
+            previous: this.formatMinutes(round.task.estimate)
+        }));
+
+        this.resumeReview();
+    }
+
+    async revisit(id) {
+        if(!this.canRevise()) {
+            throw new Error(this.t("noPlanningToRevisit"));
+        }
+
+        this.assertLive("revisit");
+
+        const matches = round => String(round.task.id) === id;
+        const round = this.completedRounds.find(matches) || this.skippedRounds.find(matches);
+
+        if(!round) {
+            throw new Error(this.t("notRevisitable", { id }));
+        }
+
+        if(this.completedRounds.includes(round)) {
+            await this.revert(round);
+        }
+
+        pull(this.completedRounds, round);
+        pull(this.skippedRounds, round);
+        round.reopen();
+        this.rounds.push(round);
+        this.changed();
+
+        await this.broadcastAll(this.t("revisited", { task: round.formatTaskLink() }));
+
+        this.resumeReview();
+    }
+
+    // Estimates can be fixed during the planning and once it's complete, unless it was stopped early
+    canRevise() {
+        return this.planning || (this.completed && !this.stopped);
+    }
+
+    resumeReview() {
+        if(!this.reviewing && !this.completed) {
+            return;
+        }
+
+        // The rounds are over while the estimates are reviewed or once the planning is complete, vote on the task put back
+        if(this.completed) {
+            this.reopen();
+        }
+
+        this.reviewing = false;
+        this.start().catch(error => this.broadcastError(error));
+    }
+
+    // A completed planning is back to vote on a task again
+    reopen() {
+        this.completed = false;
+        this.endTime = null;
+        this.room.people.forEach(person => this.listen(person));
+
+        if(this.options.manager) {
+            this.options.manager.add(this);
+        }
+
+        this.changed();
+    }
+
+    async revert(round) {
+        const { store } = this.options;
+        const written = round.writeBack && round.writeBack.status === "written";
+
+        // Put back the estimate the task had when it was planned, if it was changed
+        if(written) {
+            try {
+                await this.writeEstimate(round.task, (round.task.estimate || 0) / 60);
+            } catch(err) {
+                throw new Error(this.t("revertFailed", { title: round.task.title, error: err.message, estimate: this.deck.format(round.value, this.messages) }));
+            }
+        }
+
+        if(store && this.source.installation) {
+            store.forget(this.source.installation, round.task.id);
+        }
+
+        // Nobody reading the task should go by the estimate in its comment anymore
+        if(written && round.commented) {
+            await this.comment(round, this.t("commentReverted", {
+                estimate: this.deck.format(round.value, this.messages),
+                name: this.name,
+                previous: this.formatMinutes(round.task.estimate)
+            }));
+        }
+
+        return written;
+    }
+
+    record(round, hours) {
+        const { store } = this.options;
+
+        // Only tasks we can look up the logged time of later are worth keeping, and a dry run estimates nothing
+        if(!store || !this.source || !this.source.installation || this.settings.writeback === "dry-run") {
+            return;
+        }
+
+        const pass = round.passes[round.passes.length - 1];
+
+        store.record({
+            installation: this.source.installation,
+            taskId: round.task.id,
+            title: round.task.title,
+            hours,
+            votes: pass ? fromPairs(pass.votes.map(vote => [vote.person.handle, this.deck.toHours(vote.value)])) : {},
+            estimatedAt: moment().toISOString()
+        });
+    }
+
+    getCorrection() {
+        const { store } = this.options;
+
+        if(this.settings.correction !== "on" || !store || !this.source || !this.source.installation) {
+            return null;
+        }
+
+        return store.getCorrection(this.source.installation);
+    }
+
+    async setDeck(deck) {
+        if(this.planning) {
+            throw new Error(this.t("deckLocked"));
+        }
+
+        this.deck = deck;
+        this.changed();
+        await this.broadcastAll(this.t("deckChanged", { deck: deck.describe(this.messages) }));
+    }
+
+    async timeout(round) {
+        if(round !== this.currentRound) {
+            return;
+        }
+
+        const people = round.getEstimatingUsers().map(person => "@" + person.handle).join(", ");
+
+        if(this.settings.timeout === "close" && round.votes.length) {
+            await this.broadcastAll(this.t("timeUpClosing", { people }));
+            return round.reveal();
+        }
+
+        await this.broadcastAll(this.t(round.votes.length ? "timeUpWaiting" : "timeUpNobody", { people }));
+        return this.pass();
+    }
+
+    async set(name, value) {
+        this.settings[name] = value;
+        this.changed();
+        await this.broadcast(this.t("settingChanged", { name, value }));
+    }
+
+    async setLanguage(language) {
+        if(!Messages.languages(this.options.messages).includes(language)) {
+            throw new Error(this.t("unknownLanguage", { language, languages: this.formatLanguages() }));
+        }
+
+        this.messages = new Messages(language, this.options.messages);
+        this.changed();
+        await this.broadcastAll(this.t("languageChanged"));
+    }
+
+    // Look up a message in the session's language, see `Messages#format`
+    t(key, params) {
+        return this.messages.format(key, params);
+    }
+
+    async reveal() {
+        if(this.isAsync) {
+            return this.closeVoting();
+        }
+
+        if(!this.planning || !this.currentRound) {
+            throw new Error(this.t("noVotesToReveal"));
+        }
+
+        this.currentRound.reveal();
+    }
+
+    async vote(person, estimate) {
+        if(!this.planning || !this.currentRound) {
+            throw new Error(this.t("noTaskToVote"));
+        }
+
+        // A first vote is confirmed by the round's prompt
+        if(this.currentRound.vote(person, estimate)) {
+            await person.sendMessage(this.t("voteChanged", { estimate: this.deck.formatVote(estimate, this.messages) }));
+        }
+    }
+
+    /**
+     * Parse a vote or estimate in the session's deck, e.g. "3", "2h 30m" or
+     * "half a day" with the hours deck.
+     */
+    parseEstimate(input) {
+        return this.deck.parse(input, { workday: this.settings.workday, messages: this.messages });
+    }
+
+    /**
+     * The deadline of an async planning, either a time from now ("2 days", "36h")
+     * or a date and time in UTC ("2026-10-21 17:00").
+     */
+    parseDeadline(input) {
+        const date = moment.utc(input.trim(), ["YYYY-MM-DD HH:mm", "YYYY-MM-DDTHH:mm", "YYYY-MM-DD"], true);
+        let deadline = date;
+
+        if(!date.isValid()) {
+            try {
+                deadline = moment().add(Math.round(parseDuration(input, { workday: 24, workweek: 7 }) * 60), "minutes");
+            } catch(err) {
+                throw new Error(this.t("deadlineInvalid"));
+            }
+        }
+
+        if(!deadline.isAfter(moment())) {
+            throw new Error(this.t("deadlinePast"));
+        }
+
+        if(deadline.diff(moment(), "days", true) > MAX_DEADLINE_DAYS) {
+            throw new Error(this.t("deadlineTooFar", { days: MAX_DEADLINE_DAYS }));
+        }
+
+        return deadline;
+    }
+
+    async abstain(person) {
+        if(!this.planning || !this.currentRound) {
+            throw new Error(this.t("noTaskToAbstain"));
+        }
+
+        this.currentRound.abstain(person);
+        await person.sendMessage(this.t("abstained"));
+        await this.broadcast(this.t("abstaining", { name: person.firstName }));
+    }
+
+    async nextRound() {
+        const before = this.getPlannedHours();
+
+        this.completedRounds.push(this.currentRound);
+        this.changed();
+        const completed = this.completedRounds.length;
+        const pending = this.rounds.length;
+        const total = completed + pending;
+        await this.broadcast(this.t("nextTask", { completed, total, pending }) + (this.capacity ? " " + this.formatCapacity() : ""));
+        await this.warnOverCapacity(before);
+    }
+
+    async reportCapacity(before) {
+        if(this.capacity) {
+            await this.broadcast(this.formatCapacity());
+            await this.warnOverCapacity(before);
+        }
+    }
+
+    async warnOverCapacity(before) {
+        // Only warn as the plan tips over, not after every task from then on
+        if(this.capacity && before <= this.capacity.total && this.getPlannedHours() > this.capacity.total) {
+            await this.broadcastAll(this.t("overCapacity", { hours: roundHours(this.getPlannedHours() - this.capacity.total) }));
+        }
+    }
+
+    async setCapacity(capacity) {
+        this.capacity = capacity;
+        this.changed();
+
+        if(!capacity) {
+            return this.broadcast(this.t("capacityOff"));
+        }
+
+        await this.broadcast(this.t("capacitySet", { capacity: capacity.describe(this.messages), status: this.formatCapacity() }));
+    }
+
+    getPlannedHours() {
+        return roundHours(sumBy(this.completedRounds, round => this.deck.toHours(round.value)));
+    }
+
+    async skip() {
+        if(!this.planning) {
+            throw new Error(this.t("noTaskToSkip"));
+        }
+
+        if(this.isAsync) {
+            throw new Error(this.t("skipWhich"));
+        }
+
+        this.currentRound.cancelAllEstimates();
+        this.skippedRounds.push(this.currentRound);
+        this.changed();
+        this.publish("task:skipped", { task: this.currentRound.serializeTask() });
+        await this.broadcastAll(this.t("skipping", { task: this.currentRound.formatTaskLink() }));
+    }
+
+    async skipTask(id) {
+        if(!this.planning) {
+            throw new Error(this.t("noTaskToSkip"));
+        }
+
+        const round = this.findQueued(id);
+
+        pull(this.rounds, round);
+        this.skippedRounds.push(round);
+        this.changed();
+        this.publish("task:skipped", { task: round.serializeTask() });
+        await this.broadcast(this.t("skipping", { task: round.formatTaskLink() }));
+        await this.checkAsyncDone();
+    }
+
+    async pass() {
+        if(!this.planning) {
+            throw new Error(this.t("noTaskToPass"));
+        }
+
+        this.assertLive("pass");
+
+        this.currentRound.cancelAllEstimates();
+        this.currentRound.timesPassed++;
+        this.rounds.push(this.currentRound);
+        this.changed();
+        this.publish("task:passed", { task: this.currentRound.serializeTask(), timesPassed: this.currentRound.timesPassed });
+        await this.broadcastAll(this.t("passing"));
+    }
+
+    report(format) {
+        if(!FORMATS.includes(format)) {
+            throw new Error(this.t("unknownReport", { format, formats: FORMATS.join(", ") }));
+        }
+
+        const report = new Report(this).format(format, this.messages);
+
+        return this.broadcast(format === "md" ? report : "```\n" + report + "\n```");
+    }
+
+    help() {
+        return this.broadcast(this.t("help", { bot: this.admin.handle, moderator: this.moderator.handle }));
+    }
+
+    status() {
+        return this.room.sendMessage(this.formatStatus());
+    }
+
+    formatStatus() {
+        let output = [
+            this.t("statusModerator", { name: this.moderator.firstName }),
+            this.t("statusRoles", {
+                voters: this.formatPeople(this.voters),
+                observers: this.formatPeople(this.participants.filter(person => this.isObserver(person)))
+            }),
+            this.t("statusEstimated", { completed: this.completedRounds.length, total: this.rounds.length })
+        ];
+
+        if(this.planning && this.isAsync) {
+            output.push(this.votingClosed ?
+                this.t("statusAsyncClosed", { count: this.rounds.length }) :
+                this.t("statusAsyncOpen", {
+                    deadline: this.messages.formatDate(this.deadline),
+                    relative: this.messages.fromNow(this.deadline),
+                    progress: this.formatAsyncProgress()
+                })
+            );
+        } else if(this.planning) {
+            const estimating = this.currentRound.getEstimatingUsers();
+
+            output.push(this.t("statusCurrent", { task: this.currentRound.formatTaskLink() }));
+
+            if(estimating.length) {
+                output.push(this.t("statusEstimating", { people: estimating.map(p => "@" + p.handle).join(", ") }));
+            }
+
+            if(this.currentRound.deadline) {
+                output.push(this.t("statusTimeLeft", { left: this.currentRound.formatTimeLeft() }));
+            }
+        }
+
+        if(this.capacity) {
+            output.push(this.formatCapacity());
+        }
+
+        if(this.completed) {
+            output.push(this.t("statusComplete"));
+        }
+
+        return output.join("\n");
+    }
+
+    broadcast(message) {
+        if(Array.isArray(message)) {
+            message = message.join("");
+        }
+
+        winston.info("broadcasting: " + message);
+        return this.room.sendMessage(message);
+    }
+
+    broadcastDirect(message) {
+        return Promise.map(this.participants, person => {
+            message = typeof message === "function" ? message(person) : message;
+
+            if(Array.isArray(message)) {
+                message = message.join("");
+            }
+
+            return person.sendMessage(message);
+        });
+    }
+
+    broadcastError(error) {
+        return this.broadcast(this.t("error", { message: error.message }));
+    }
+
+    broadcastAll(message) {
+        winston.info("broadcast all");
+        return Promise.all([
+            this.broadcast(message),
+            this.broadcastDirect(message)
+        ]);
+    }
+
+    changed() {
+        this.touch();
+        this.emit("change", this);
+    }
 
-function formatResultTable(prompts) {
-    return stripIndent`
-        | Person | ${prompts.map(prompt => prompt.person.firstName).join(" | ")} |
-        |---|${prompts.map(() => "---").join("|")}|
-        | **Estimate** | ${prompts.map(prompt => prompt.value).join(" | ")} |
-    `;
-}
\ No newline at end of file
+    touch() {
+        this.lastActivity = moment();
+    }
+
+    /**
+     * Emit a lifecycle event, e.g. `"estimate:finalized"`, both as itself and
+     * as `"event"`. The payload gets the event's `type`, the `room`, the
+     * planning's `name` and the `time` it happened.
+     */
+    publish(type, payload = {}) {
+        const event = { type, room: this.room.id, name: this.name || null, time: moment().toISOString(), ...payload };
+
+        this.emit(type, event);
+        this.emit("event", event);
+    }
+
+    publishParticipants(change, person) {
+        this.publish("participants:changed", {
+            change,
+            person: person.handle,
+            moderator: this.moderator.handle,
+            voters: this.voters.map(person => person.handle),
+            observers: this.observers
+        });
+    }
+
+    publishStopped(outcome, reason = null) {
+        this.publish("session:stopped", {
+            outcome,
+            reason,
+            estimated: this.completedRounds.length,
+            skipped: this.skippedRounds.length,
+            remaining: this.rounds.length,
+            hours: this.getPlannedHours(),
+            duration: this.startTime ? moment().diff(this.startTime, "seconds") : 0
+        });
+    }
+
+    async cancel(reason) {
+        this.cancelled = this.stopped = true;
+        this.stopAsyncTimers();
+
+        if(this.finalPrompt) {
+            this.finalPrompt.cancel();
+            this.finalPrompt = null;
+        }
+
+        if(this.planning && this.currentRound) {
+            this.currentRound.cancelAllEstimates();
+        }
+
+        this.planning = false;
+        this.unlistenAll();
+        this.emit("cancel", this);
+        this.publishStopped("cancelled", reason);
+        await this.broadcastAll(this.t("cancelled", { reason }));
+    }
+
+    serialize() {
+        return {
+            room: this.room.id,
+            moderator: this.moderator.handle,
+            observers: this.observers,
+            name: this.name,
+            source: this.source && this.source.serialize(),
+            deck: this.deck.serialize(),
+            capacity: this.capacity && this.capacity.serialize(),
+            settings: this.settings,
+            language: this.messages.language,
+            mode: this.mode,
+            deadline: this.deadline && this.deadline.toISOString(),
+            votingClosed: !!this.votingClosed,
+            digestSent: !!this.digestSent,
+            planning: !!this.planning,
+            reviewing: !!this.reviewing,
+            completed: !!this.completed,
+            startTime: this.startTime && this.startTime.toISOString(),
+            lastActivity: this.lastActivity.toISOString(),
+            currentRound: this.planning && this.currentRound ? this.currentRound.serialize() : null,
+            rounds: this.rounds.map(round => round.serialize()),
+            completedRounds: this.completedRounds.map(round => round.serialize()),
+            skippedRounds: this.skippedRounds.map(round => round.serialize())
+        };
+    }
+
+    static restore(admin, room, data, options) {
+        const moderator = room.people.find(person => person.handle === data.moderator);
+
+        if(!moderator) {
+            throw new Error(`Unable to restore session in room ${room.id}, moderator @${data.moderator} has left.`);
+        }
+
+        const session = new Session(admin, room, moderator, options);
+
+        session.name = data.name;
+        session.observers = data.observers || [];
+        session.source = data.source && restoreSource(admin.api, data.source);
+        session.deck = Deck.restore(data.deck);
+        session.capacity = Capacity.restore(data.capacity);
+        session.settings = { ...session.settings, ...data.settings };
+
+        // A language since removed from the overrides falls back to English
+        if(Messages.languages(session.options.messages).includes(data.language)) {
+            session.messages = new Messages(data.language, session.options.messages);
+        }
+
+        session.mode = data.mode || "live";
+        session.deadline = data.deadline ? moment(data.deadline) : undefined;
+        session.votingClosed = data.votingClosed;
+        session.digestSent = data.digestSent;
+        session.startTime = data.startTime ? moment(data.startTime) : undefined;
+        session.lastActivity = data.lastActivity ? moment(data.lastActivity) : moment();
+        session.completed = data.completed;
+        session.rounds = data.rounds.map(round => Round.restore(session, round));
+        session.completedRounds = data.completedRounds.map(round => Round.restore(session, round));
+        session.skippedRounds = data.skippedRounds.map(round => Round.restore(session, round));
+
+        // The interrupted round goes back to the front of the queue
+        if(data.planning && data.currentRound) {
+            const round = Round.restore(session, data.currentRound);
+
+            round.resume();
+            session.rounds.unshift(round);
+        }
+
+        session.reviewing = data.reviewing;
+        session.planning = !!data.reviewing;
+        session.resuming = data.planning && !data.reviewing;
+
+        return session;
+    }
+
+    async resume() {
+        if(!this.resuming) {
+            return this.broadcast(this.t(this.name ? "backNamed" : "back", { name: this.name }));
+        }
+
+        this.resuming = false;
+
+        if(this.isAsync) {
+            return this.resumeAsync();
+        }
+
+        await this.broadcastAll(this.t("resuming", {
+            name: this.name,
+            number: this.completedRounds.length + 1,
+            total: this.completedRounds.length + this.rounds.length
+        }));
+
+        return this.start();
+    }
+
+    async resumeAsync() {
+        this.planning = true;
+
+        if(this.votingClosed) {
+            return this.broadcast(this.t("backAsyncClosed", { name: this.name }));
+        }
+
+        if(this.deadline.isBefore(moment())) {
+            await this.broadcast(this.t("backAsyncMissed", { name: this.name }));
+            return this.closeVoting();
+        }
+
+        this.startAsyncTimers();
+        await this.broadcastAll(this.t("backAsyncOpen", { name: this.name, deadline: this.messages.formatDate(this.deadline) }));
+    }
+
+    getPersonByHandle(handle) {
+        // People who have since left the room are kept as just their handle
+        return this.room.people.find(person => person.handle === handle) || { handle, firstName: handle };
+    }
+
+    get participants() {
+        return without(this.room.people, this.admin);
+    }
+
+    get voters() {
+        return this.participants.filter(person => !this.isObserver(person));
+    }
+
+    get isAsync() {
+        return this.mode === "async";
+    }
+
+    /**
+     * The state of the session for the dashboard. Votes stay hidden, only who
+     * has voted on the current task is shown.
+     */
+    snapshot() {
+        const round = this.planning ? this.currentRound : null;
+        const task = round => round.serializeTask();
+
+        return {
+            room: this.room.id,
+            name: this.name || null,
+            moderator: this.moderator.handle,
+            deck: this.deck.name,
+            mode: this.mode,
+            deadline: this.isVotingAsync() ? this.deadline.toISOString() : null,
+            status: this.cancelled ? "cancelled" : this.completed ? "completed" : this.reviewing ? "reviewing" : this.planning ? "planning" : "waiting",
+            lastActivity: this.lastActivity.toISOString(),
+            current: round ? {
+                ...task(round),
+                pass: round.passes.length + 1,
+                voted: round.votes.map(vote => vote.person.handle),
+                waiting: round.getEstimatingUsers().map(person => person.handle),
+                deadline: round.deadline ? round.deadline.toISOString() : null
+            } : null,
+            queue: this.rounds.map(task),
+            completed: this.completedRounds.map(round => ({
+                ...task(round),
+                value: round.value,
+                formatted: this.deck.format(round.value),
+                hours: this.deck.toHours(round.value)
+            })),
+            skipped: this.skippedRounds.map(task),
+            capacity: this.capacity ? { total: this.capacity.total, planned: this.getPlannedHours() } : null
+        };
+    }
+
+    formatCapacity() {
+        if(!this.capacity) {
+            return null;
+        }
+
+        const planned = this.getPlannedHours();
+        const left = roundHours(this.capacity.total - planned);
+
+        return this.t(left >= 0 ? "capacityLeft" : "capacityOver", { planned, total: this.capacity.total, left, over: -left });
+    }
+
+    formatQueue() {
+        if(!this.rounds.length) {
+            return this.t("queueEmpty");
+        }
+
+        return [
+            this.t("queueHeader", { count: this.rounds.length }),
+            ...this.rounds.map((round, i) => this.t("queueItem", { number: i + 1, id: round.task.id, task: round.formatTaskLink() }))
+        ].join("\n");
+    }
+
+    formatBallot() {
+        return [
+            this.t("ballotHeader", { name: this.name, deadline: this.messages.formatDate(this.deadline), relative: this.messages.fromNow(this.deadline) }),
+            ...this.rounds.map(round => this.t("taskItem", { id: round.task.id, task: round.formatTaskLink() })),
+            this.t("ballotHelp", { id: this.rounds[0].task.id, example: this.formatExample(), cards: this.deck.formatCards(this.messages) })
+        ].join("\n");
+    }
+
+    formatAsyncProgress() {
+        const waiting = this.voters.map(person => [person, this.rounds.filter(round => !round.hasVoted(person)).length]).filter(([, missing]) => missing);
+        const votes = sumBy(this.rounds, round => round.votes.length + round.abstained.length);
+
+        return this.t(waiting.length ? "asyncProgressWaiting" : "asyncProgress", {
+            votes,
+            total: this.rounds.length * this.voters.length,
+            people: waiting.map(([person, count]) => this.t("asyncMissing", { handle: person.handle, count })).join(", ")
+        });
+    }
+
+    formatAsyncResults() {
+        const diverged = this.rounds.some(round => round.result.passes[0].diverged);
+
+        return [
+            this.t("asyncResultsHeader"),
+            "|---|---|---|---|---|---|",
+            ...this.rounds.map(round => {
+                const { estimates, statistics, suggested, passes } = round.result;
+
+                return (
+                    `| #${round.task.id} ${round.formatTaskLink()}${passes[0].diverged ? " " + this.t("icons.diverged") : ""} | ${estimates.length} | ` +
+                    `**${this.deck.format(suggested, this.messages)}** | ${statistics ? `${this.deck.format(statistics.min, this.messages)} | ${this.deck.format(statistics.max, this.messages)} | ${Math.round(statistics.consensus * 100)}%` : "- | - | -"} |`
+                );
+            }),
+            ...(diverged ? ["", this.t("asyncDiverged", { threshold: this.settings.threshold })] : [])
+        ].join("\n");
+    }
+
+    formatWriteBackSummary(rounds) {
+        const written = rounds.filter(round => round.writeBack && round.writeBack.status === "written");
+        const unwritten = without(rounds, ...written);
+        const output = [this.t("writeBackSummary", { written: written.length, total: rounds.length, source: this.source.name })];
+
+        if(unwritten.length) {
+            output.push(this.t("notUpdated", { tasks: unwritten.map(round => (
+                `#${round.task.id} (${round.writeBack ? round.writeBack.error || round.writeBack.status : this.t("notEstimated")})`
+            )).join(", ") }));
+        }
+
+        return output.join("\n");
+    }
+
+    formatSummary() {
+        const total = this.completedRounds.length + this.skippedRounds.length + this.rounds.length + (this.planning && this.currentRound ? 1 : 0);
+
+        return this.t("summary", {
+            room: this.room.id,
+            name: this.name || this.t("summaryUnnamed"),
+            moderator: this.moderator.handle,
+            progress: this.planning ? this.t("summaryProgress", { completed: this.completedRounds.length, total }) : this.t("summaryNotStarted"),
+            active: this.messages.fromNow(this.lastActivity)
+        });
+    }
+
+    formatPeople(people) {
+        return people.length ? people.map(person => person.firstName).join(", ") : this.t("nobody");
+    }
+
+    formatMinutes(minutes) {
+        return minutes ? this.t("hours", { hours: roundHours(minutes / 60) }) : this.t("noEstimate");
+    }
+
+    // The first example card of the deck, e.g. "0.5"
+    formatExample() {
+        return this.deck.formatExample().split(", ")[0];
+    }
+
+    formatLanguages() {
+        return Messages.languages(this.options.messages).join(", ");
+    }
+
+    formatCorrection(average) {
+        const correction = this.getCorrection();
+
+        if(!correction || average === null) {
+            return "";
+        }
+
+        const hours = roundHours(this.deck.toHours(average) * correction.factor);
+        return this.t("correction", { hours, factor: correction.factor });
+    }
+
+    formatSettings() {
+        return [
+            this.t("settingsHeader"),
+            ...Object.keys(SETTINGS).map(name => this.t("settingItem", { name, value: this.settings[name], description: this.t(`settings.${name}`) }))
+        ].join("\n");
+    }
+
+    formatDirectHelp(person) {
+        const async = this.isAsync ? "Async" : "";
+        const keys = ["directHelp", `directHelpVote${async}`, `directHelpAbstain${async}`, "directHelpStatus", "directHelpHelp"];
+
+        if(person === this.moderator) {
+            keys.push(`directHelpEstimate${async}`, `directHelpSkip${async}`, "directHelpPass", "directHelpStop");
+        }
+
+        return keys.map(key => this.t(key)).join("\n");
+    }
+
+    formatDirectWelcomeMessage(person) {
+        return this.t("welcomeDirect", {
+            handle: person.handle,
+            people: without(this.participants, person).map(person => person.firstName).join(", ")
+        });
+    }
+}
+
+class CommandError extends Error {
+    constructor(message, offender) {
+        super();
+        this.message = message;
+        this.offender = offender;
+    }
+}
@@ -0,0 +1,137 @@
+import { EventEmitter } from "events";
+import Promise from "bluebird";
+import winston from "winston";
+import moment from "moment";
+import { pull } from "lodash";
+
+/**
+ * Keeps track of the sessions running on the bot: saves them to the store when
+ * they change, forgets them when they complete and cancels the ones nobody has
+ * touched for `idle` minutes (0 to keep them forever), except async plannings
+ * still open for votes until their deadline. Emits `"change"
+ * (session)` whenever one of them changes, `"remove" (session)` when it's
+ * no longer running and `"event" (event)` with every lifecycle event of the
+ * sessions (see `Session#publish`).
+ */
+export default class SessionManager extends EventEmitter {
+    constructor(store, { idle = 0 } = {}) {
+        super();
+
+        this.store = store;
+        this.idle = idle;
+        this.sessions = [];
+        this.attached = new WeakSet();
+        this.directMessages = new WeakMap();
+    }
+
+    add(session) {
+        if(!this.sessions.includes(session)) {
+            this.sessions.push(session);
+        }
+
+        // A completed session reopened to fix an estimate is still listened to
+        if(this.attached.has(session)) {
+            return session;
+        }
+
+        this.attached.add(session);
+        session.on("change", () => {
+            // A cancelled session may still wind down after it's been removed
+            if(this.sessions.includes(session)) {
+                this.store.save(session);
+                this.emit("change", session);
+            }
+        });
+        session.on("event", event => this.emit("event", event));
+        session.on("complete", () => this.remove(session));
+        session.on("cancel", () => this.remove(session));
+
+        return session;
+    }
+
+    remove(session) {
+        if(!this.sessions.includes(session)) {
+            return;
+        }
+
+        pull(this.sessions, session);
+        this.store.remove(session);
+        this.emit("remove", session);
+    }
+
+    findByRoom(id) {
+        return this.sessions.find(session => String(session.room.id) === String(id));
+    }
+
+    // The session planning any of the tasks of `source`, if it can tell
+    findBySource(source) {
+        const keys = source.keys;
+
+        return this.sessions.find(session => session.source && session.source.keys.some(key => keys.includes(key)));
+    }
+
+    /**
+     * The session a direct message from `person` is meant for when they're in
+     * several: the one waiting for their answer, else the one they moderate,
+     * else any that's planning, else the newest.
+     */
+    findByPerson(person) {
+        const sessions = this.sessions.filter(session => session.isListeningTo(person));
+        const planning = sessions.filter(session => session.planning);
+
+        return sessions.find(session => session.isPrompting(person)) ||
+            planning.find(session => session.moderator.handle === person.handle) ||
+            planning[0] ||
+            sessions[sessions.length - 1];
+    }
+
+    // Decided once per message, handling it can change which session comes first (e.g. `stop`)
+    findByDirectMessage(person, message) {
+        if(!this.directMessages.has(message)) {
+            this.directMessages.set(message, this.findByPerson(person));
+        }
+
+        return this.directMessages.get(message);
+    }
+
+    start() {
+        if(!this.idle) {
+            return;
+        }
+
+        // Check often enough that a session doesn't outlive its idle time by much
+        const interval = Math.min(this.idle * 60 * 1000 / 2, 60 * 1000);
+        this.interval = setInterval(() => this.expire(), interval);
+        this.interval.unref();
+    }
+
+    stop() {
+        clearInterval(this.interval);
+    }
+
+    expire() {
+        const cutoff = moment().subtract(this.idle, "minutes");
+
+        // Nobody has to touch an async planning before its deadline, voting closes on its own
+        const idle = session => !session.isVotingAsync() && session.lastActivity.isBefore(cutoff);
+
+        return Promise.map(this.sessions.filter(idle), session => {
+            winston.info("expiring idle session", { room: session.room.id });
+
+            return session.cancel(session.t("reasonIdle", { idle: session.messages.humanize(moment.duration(this.idle, "minutes")) })).catch(error => {
+                winston.error("unable to expire session", { room: session.room.id, error: error.message });
+            });
+        });
+    }
+
+    formatList() {
+        if(!this.sessions.length) {
+            return ":zzz: There are no plannings running right now.";
+        }
+
+        return [
+            `:clipboard: **${this.sessions.length} planning(s) running**`,
+            ...this.sessions.map(session => session.formatSummary())
+        ].join("\n");
+    }
+}
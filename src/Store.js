@@ -0,0 +1,74 @@
+import fs from "fs";
+import path from "path";
+import winston from "winston";
+
+/**
+ * A tiny JSON file store for the state of running sessions, keyed by room id,
+ * the history of finalized estimates (with everyone's votes) and the
+ * correction factors measured from them. Writes are synchronous and atomic
+ * (write to a temporary file and rename) so a crash mid-write never leaves a
+ * corrupt store behind.
+ */
+export default class Store {
+    constructor(filename) {
+        this.filename = path.resolve(filename);
+        this.data = this.read();
+    }
+
+    read() {
+        const data = { sessions: {}, history: {}, corrections: {} };
+
+        try {
+            return { ...data, ...JSON.parse(fs.readFileSync(this.filename, "utf8")) };
+        } catch(err) {
+            if(err.code !== "ENOENT") {
+                winston.error("unable to read session store, starting fresh", { filename: this.filename, error: err.message });
+            }
+
+            return data;
+        }
+    }
+
+    write() {
+        const tmp = `${this.filename}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmp, this.filename);
+    }
+
+    load() {
+        return Object.keys(this.data.sessions).map(room => this.data.sessions[room]);
+    }
+
+    save(session) {
+        this.data.sessions[session.room.id] = session.serialize();
+        this.write();
+    }
+
+    remove(session) {
+        delete this.data.sessions[session.room.id];
+        this.write();
+    }
+
+    record(entry) {
+        this.data.history[`${entry.installation}/${entry.taskId}`] = entry;
+        this.write();
+    }
+
+    forget(installation, taskId) {
+        delete this.data.history[`${installation}/${taskId}`];
+        this.write();
+    }
+
+    getHistory(installation, taskId) {
+        return this.data.history[`${installation}/${taskId}`];
+    }
+
+    setCorrection(installation, correction) {
+        this.data.corrections[installation] = correction;
+        this.write();
+    }
+
+    getCorrection(installation) {
+        return this.data.corrections[installation];
+    }
+}
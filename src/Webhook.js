@@ -0,0 +1,125 @@
+import http from "http";
+import https from "https";
+import crypto from "crypto";
+import { parse } from "url";
+import Promise from "bluebird";
+import winston from "winston";
+
+/**
+ * Posts the lifecycle events of the sessions (see `Session#publish`) to a URL
+ * as JSON, to feed sprint dashboards and other tooling. With a `secret` every
+ * body is signed with HMAC-SHA256, hex encoded in the `X-Poker-Signature`
+ * header as `sha256=<digest>`. Events are delivered one at a time in the order
+ * they happened and a failed delivery is retried `retries` times, waiting
+ * `retryDelay` ms and twice as long after every attempt, before it's dropped.
+ * While an endpoint is down at most `maxQueue` events wait, past that the
+ * oldest waiting event is dropped. `events` limits the event types sent.
+ */
+export default class Webhook {
+    constructor(url, { secret, events, retries = 5, retryDelay = 1000, timeout = 10000, maxQueue = 1000 } = {}) {
+        this.url = url;
+        this.options = { secret, events, retries, retryDelay, timeout, maxQueue };
+        this.queue = [];
+    }
+
+    attach(manager) {
+        manager.on("event", event => this.send(event));
+        return this;
+    }
+
+    send(event) {
+        const { events, maxQueue } = this.options;
+
+        if(events && events.length && !events.includes(event.type)) {
+            return;
+        }
+
+        if(this.queue.length >= maxQueue) {
+            // The event being delivered stays at the head of the queue
+            const [dropped] = this.queue.splice(this.flushing ? 1 : 0, 1);
+
+            if(dropped) {
+                winston.warn("webhook queue is full, dropping the oldest event", { type: dropped.event.type, queued: this.queue.length });
+            }
+        }
+
+        this.queue.push({ id: crypto.randomBytes(8).toString("hex"), event, attempts: 0 });
+
+        if(!this.flushing) {
+            this.flushing = this.flush().finally(() => this.flushing = null);
+        }
+    }
+
+    async flush() {
+        const { retries, retryDelay } = this.options;
+
+        while(this.queue.length) {
+            const delivery = this.queue[0];
+
+            try {
+                delivery.attempts++;
+                await this.deliver(delivery);
+                this.queue.shift();
+            } catch(err) {
+                winston.error("unable to deliver webhook", { type: delivery.event.type, attempt: delivery.attempts, error: err.message });
+
+                if(delivery.attempts > retries) {
+                    this.queue.shift();
+                    continue;
+                }
+
+                await Promise.delay(retryDelay * Math.pow(2, delivery.attempts - 1));
+            }
+        }
+    }
+
+    // Resolves once every queued event has been delivered or dropped
+    idle() {
+        return Promise.resolve(this.flushing);
+    }
+
+    deliver({ id, event }) {
+        const body = JSON.stringify(event);
+        const url = parse(this.url);
+        const headers = {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(body),
+            "User-Agent": "tw-chat-planning-poker",
+            "X-Poker-Event": event.type,
+            "X-Poker-Delivery": id
+        };
+
+        if(this.options.secret) {
+            headers["X-Poker-Signature"] = sign(body, this.options.secret);
+        }
+
+        return new Promise((resolve, reject) => {
+            const req = (url.protocol === "https:" ? https : http).request({
+                method: "POST",
+                hostname: url.hostname,
+                port: url.port,
+                path: url.path,
+                headers
+            }, res => {
+                res.resume();
+
+                if(res.statusCode >= 300) {
+                    return reject(new Error(`The webhook responded with ${res.statusCode}.`));
+                }
+
+                resolve();
+            });
+
+            req.setTimeout(this.options.timeout, () => req.abort());
+            req.on("error", reject);
+            req.end(body);
+        });
+    }
+}
+
+/**
+ * The signature of a webhook body, for receivers to check it came from the bot.
+ */
+export function sign(body, secret) {
+    return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
@@ -0,0 +1,129 @@
+import Messages from "./Messages";
+
+const UNITS = {
+    minute: ["m", "min", "mins", "minute", "minutes"],
+    hour: ["h", "hr", "hrs", "hour", "hours"],
+    day: ["d", "day", "days"],
+    week: ["w", "wk", "wks", "week", "weeks"]
+};
+
+const WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    half: 0.5, quarter: 0.25, couple: 2
+};
+
+// Words that don't change the meaning, e.g. "about half a day" or "an hour or so"
+const FILLERS = ["of", "about", "around", "roughly", "approximately", "maybe", "probably", "so"];
+
+// A number straight after a unit without one of its own is in the next smaller unit, e.g. "2h30"
+const SMALLER = { week: "day", day: "hour", hour: "minute" };
+
+/**
+ * Parse a time estimate into hours. Understands plain numbers (hours, with a
+ * decimal point or comma), minutes, hours, days and weeks ("2h 30m", "90 min",
+ * "1,5 days", "2 weeks") and common phrases ("half a day", "an hour and a
+ * half", "1 1/2 hours"). Days are `workday` hours long and weeks `workweek`
+ * days. Throws when the input doesn't make sense, including negative numbers,
+ * numbers without a unit in between ("3 4") and choices ("4 or 5 hours"),
+ * with an error worded by `messages`.
+ */
+export default function parseDuration(input, { workday = 8, workweek = 5, messages = new Messages() } = {}) {
+    const hours = { minute: 1 / 60, hour: 1, day: workday, week: workday * workweek };
+    const tokens = input.toString().toLowerCase()
+        .replace(/([a-z])-([a-z])/g, "$1 $2")
+        .replace(/(\d)\s*([a-z])/g, "$1 $2")
+        .match(/[.,]?\d(?:[\d.,/]*\d)?|[a-z]+|[&+-]/g) || [];
+    const invalid = () => new Error(messages.format("invalidDuration", { input }));
+
+    let total = 0;
+    let quantity = null;
+    let numeric = false;
+    let added = 0;
+    let last = null;
+
+    tokens.forEach((token, i) => {
+        const unit = Object.keys(UNITS).find(unit => UNITS[unit].includes(token));
+
+        if(unit) {
+            // "hours" on its own isn't an estimate, "two and a half hours" is 2.5 hours
+            if(quantity === null) {
+                throw invalid();
+            }
+
+            total += (quantity + added) * hours[unit];
+            quantity = null;
+            numeric = false;
+            added = 0;
+            last = unit;
+        } else if(token.match(/\d/)) {
+            const value = parseNumber(token);
+
+            // Only a whole number and a fraction go together, "1 1/2" is 1.5 but "3 4" is nonsense
+            if(value === null || (quantity !== null && !(numeric && quantity % 1 === 0 && token.includes("/")))) {
+                throw invalid();
+            }
+
+            quantity = (quantity || 0) + value;
+            numeric = true;
+        } else if(WORDS.hasOwnProperty(token)) {
+            if(numeric) {
+                throw invalid();
+            }
+
+            // Words multiply, "half a day" is 0.5 x 1 day
+            quantity = (quantity === null ? 1 : quantity) * WORDS[token];
+        } else if(token === "and" || token === "&" || token === "+") {
+            added += quantity || 0;
+            quantity = null;
+            numeric = false;
+        } else if(token === "or" && tokens[i + 1] === "so") {
+            // "an hour or so"
+        } else if(!FILLERS.includes(token)) {
+            // Including "-" (there are no negative estimates) and "or" (pick one)
+            throw invalid();
+        }
+    });
+
+    if(quantity === null && !added && !last) {
+        throw invalid();
+    }
+
+    // Whatever is left over is in hours, a fraction of the last unit ("a day and a half") or the unit below it ("2h30", "3 hours and 15")
+    if(quantity !== null || added) {
+        const left = (quantity || 0) + added;
+        const unit = last ? (left < 1 ? last : SMALLER[last]) : "hour";
+
+        if(!unit) {
+            throw invalid();
+        }
+
+        total += left * hours[unit];
+    }
+
+    if(!isFinite(total) || total < 0) {
+        throw invalid();
+    }
+
+    // Nobody estimates in seconds
+    return Math.round(total * 60) / 60;
+}
+
+/**
+ * Format hours as e.g. "2h 30m".
+ */
+export function formatDuration(hours) {
+    const minutes = Math.round(hours * 60);
+    const whole = Math.floor(minutes / 60);
+
+    return [whole ? `${whole}h` : "", minutes % 60 ? `${minutes % 60}m` : ""].filter(part => part).join(" ") || "0h";
+}
+
+// A number like "4", "1.5", "1,5" (a decimal comma) or "1/2", null if it isn't one
+function parseNumber(token) {
+    if(token.match(/^\d+\/\d+$/)) {
+        const [numerator, denominator] = token.split("/").map(part => parseInt(part, 10));
+        return denominator ? numerator / denominator : null;
+    }
+
+    return token.match(/^\d*[.,]?\d+$/) ? parseFloat(token.replace(",", ".")) : null;
+}
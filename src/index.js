@@ -1,55 +1,169 @@
 import Promise from "bluebird";
 import winston from "winston";
-import TeamworkChat from "@teamwork/tw-chat";
-import { pull } from "lodash";
 import Session from "./Session";
+import SessionManager from "./SessionManager";
+import Dashboard from "./Dashboard";
+import Store from "./Store";
+import Messages from "./Messages";
+import Webhook from "./Webhook";
+import measureAccuracy from "./Accuracy";
+import { TeamworkTasklistSource } from "./sources";
 
-winston.add(winston.transports.File, { filename: "poker.log" });
+/**
+ * Start the poker bot on a chat transport. Options are the `store` sessions are
+ * saved to, the minutes a session can sit `idle` before it's cancelled (0 to
+ * never cancel), the `manager` to track them with, the `dashboard` port to
+ * serve the dashboard on, the `messages` overriding the wording of the bot in
+ * each language (see `Messages`), the `webhook` (`{ url, secret, events }`, see
+ * `Webhook`) to post the sessions' events to and the `session` options passed
+ * to every Session.
+ * Resolves with the bot user once any previous sessions have been resumed.
+ */
+export default function poker(transport, options = {}) {
+    const store = options.store || new Store(process.env.POKER_STORE || "poker.json");
+    const idle = typeof options.idle === "number" ? options.idle : parseFloat(process.env.POKER_IDLE_MINUTES || 24 * 60);
+    const manager = options.manager || new SessionManager(store, { idle });
+    const dashboard = options.dashboard || process.env.POKER_DASHBOARD_PORT;
+    const messages = options.messages || (process.env.POKER_MESSAGES ? Messages.load(process.env.POKER_MESSAGES) : undefined);
+    const webhook = options.webhook || (process.env.POKER_WEBHOOK_URL ? {
+        url: process.env.POKER_WEBHOOK_URL,
+        secret: process.env.POKER_WEBHOOK_SECRET,
+        events: process.env.POKER_WEBHOOK_EVENTS && process.env.POKER_WEBHOOK_EVENTS.split(",").map(type => type.trim())
+    } : null);
 
-export default TeamworkChat.fromKey("http://<installation>", "<api key>").then(bot => {
-    const activator = new RegExp(`^@${bot.handle} poker(.+)`);
-    const sessions = [];
+    // Attached before the sessions are resumed so their events aren't missed
+    if(webhook) {
+        new Webhook(webhook.url, webhook).attach(manager);
+    }
 
-    winston.info(`starting poker bot with handle @${bot.handle}`);
-    return bot.on("message:mention", (room, message) => {
-        winston.info(`mention in room ${room.id} by @${message.author.handle}: ${message.content}`);
+    return transport.connect().then(bot => {
+        const activator = new RegExp(`^@${bot.handle} poker(.+)`);
+        const management = new RegExp(`^@${bot.handle} poker (list|cancel|join)\\b(.*)`);
+        const accuracy = new RegExp(`^@${bot.handle} accuracy (.+)`);
+        const sessionOptions = { messages, allowPrivateHosts: !!process.env.POKER_ALLOW_PRIVATE_HOSTS, ...options.session, store, manager };
 
-        Promise.try(async () => {
-            if(message.content.match(activator)) {
-                const moderator = message.author;
+        winston.info(`starting poker bot with handle @${bot.handle}`);
 
-                winston.info(`new poker game requested`);
+        // Reattach any sessions that were running when the bot last stopped
+        return Promise.map(store.load(), data => {
+            return Promise.try(async () => {
+                const room = await bot.getRoomById(data.room);
+                const session = manager.add(Session.restore(bot, room, data, sessionOptions));
 
-                const handles = RegExp.$1.split(" ").map(handle => handle.trim().replace("@", "")).filter(handle => handle);
+                winston.info(`resuming poker game in room ${room.id}`);
+                session.resume().catch(error => session.broadcastError(error));
+            }).catch(error => {
+                winston.error("unable to resume session", { room: data.room, error: error.message });
+            });
+        }).then(() => bot.on("message:mention", (room, message) => {
+            winston.info(`mention in room ${room.id} by @${message.author.handle}: ${message.content}`);
 
-                if(!handles.length || handles.length < 1) {
-                    throw new Error(`Sorry @${moderator.handle}, please supply at least one other to plan the sprint.`);
+            // Sessions handle the commands in their own rooms
+            if(manager.findByRoom(room.id)) {
+                return;
+            }
+
+            Promise.try(async () => {
+                if(message.content.match(accuracy)) {
+                    return room.sendMessage(await measureAccuracy(bot.api, store, RegExp.$1.trim()));
+                }
+
+                if(message.content.match(management)) {
+                    return room.sendMessage(await manage(bot, manager, message, RegExp.$1, RegExp.$2.trim()));
                 }
 
-                // Ensure all the user's exist.
-                await Promise.all(handles.map(handle => bot.getPersonByHandle(handle)));
+                if(message.content.match(activator)) {
+                    const moderator = message.author;
 
-                // Reply saying that's all good
-                await message.room.sendMessage(`No problem. Creating a room with you and @${handles.join(", @")}`);
+                    winston.info(`new poker game requested`);
 
-                // To start a new poker game, create a room with the moderator and the bot
-                const sessionRoom = await bot.createRoomWithHandles(
-                    [bot.handle, moderator.handle, ...handles], 
-                    ":wave: Welcome to Sprint Planning Poker. Use this room for discussion on tasks."
-                );
+                    const handles = RegExp.$1.split(" ").map(handle => handle.trim().replace("@", "")).filter(handle => handle);
 
-                winston.info(`new room created for poker game ${sessionRoom.id}`);
-                const session = new Session(bot, sessionRoom, moderator);
+                    if(!handles.length || handles.length < 1) {
+                        throw new Error(`Sorry @${moderator.handle}, please supply at least one other to plan the sprint.`);
+                    }
 
-                // Do some very basic session tracking
-                sessions.push(session);
-                session.on("complete", () => pull(sessions, session));
+                    // Ensure all the user's exist.
+                    await Promise.all(handles.map(handle => bot.getPersonByHandle(handle)));
 
-                // Start.
-                await session.init();
+                    // Reply saying that's all good
+                    await message.room.sendMessage(`No problem. Creating a room with you and @${handles.join(", @")}`);
+
+                    // To start a new poker game, create a room with the moderator and the bot
+                    const sessionRoom = await bot.createRoomWithHandles(
+                        [bot.handle, moderator.handle, ...handles],
+                        ":wave: Welcome to Sprint Planning Poker. Use this room for discussion on tasks."
+                    );
+
+                    winston.info(`new room created for poker game ${sessionRoom.id}`);
+                    const session = manager.add(new Session(bot, sessionRoom, moderator, sessionOptions));
+
+                    // Start.
+                    store.save(session);
+                    await session.init();
+                }
+            }).catch(error => {
+                room.sendMessage(error.message);
+            });
+        })).then(() => {
+            manager.start();
+
+            if(dashboard) {
+                return new Dashboard(manager).listen(parseInt(dashboard));
             }
-        }).catch(error => {
-            room.sendMessage(error.message);
-        });
+        }).return(bot);
     });
-});
\ No newline at end of file
+}
+
+async function manage(bot, manager, message, command, args) {
+    const author = message.author;
+
+    switch(command) {
+        case "list":
+            return manager.formatList();
+
+        case "cancel":
+            const session = manager.findByRoom(args.replace(/^#/, ""));
+
+            if(!session) {
+                throw new Error(`There's no planning running in room "${args}". Use \`@${bot.handle} poker list\` to see them.`);
+            }
+
+            if(author.handle !== session.moderator.handle && !session.participants.some(person => person.handle === author.handle)) {
+                throw new Error(`Sorry @${author.handle}, only the people in a planning can cancel it.`);
+            }
+
+            await session.cancel(session.t("reasonCancelledBy", { handle: author.handle }));
+            return `:wastebasket: Cancelled the planning in room ${session.room.id}.`;
+
+        case "join":
+            if(!TeamworkTasklistSource.matches(args)) {
+                throw new Error("Please provide the Teamwork tasklist URL of the planning to join.");
+            }
+
+            const planning = manager.findBySource(TeamworkTasklistSource.fromInput(bot.api, args));
+
+            if(!planning) {
+                throw new Error(`Nobody is planning that tasklist right now. Start a planning with \`@${bot.handle} poker @handles\`.`);
+            }
+
+            if(planning.room.people.some(person => person.handle === author.handle)) {
+                return `You're already in the planning of **${planning.name}**, it's in room ${planning.room.id}.`;
+            }
+
+            // Not every chat lets the bot add people to a room
+            if(typeof planning.room.addPerson !== "function") {
+                return `**${planning.name}** is being planned in room ${planning.room.id}, ask @${planning.moderator.handle} to add you.`;
+            }
+
+            await planning.room.addPerson(author);
+            return `:wave: Added you to the planning of **${planning.name}** in room ${planning.room.id}.`;
+    }
+}
+
+if(require.main === module) {
+    const TeamworkChatTransport = require("./transports/TeamworkChatTransport").default;
+
+    winston.add(winston.transports.File, { filename: "poker.log" });
+    poker(new TeamworkChatTransport(process.env.TW_CHAT_INSTALLATION, process.env.TW_CHAT_KEY));
+}
@@ -0,0 +1,395 @@
+/**
+ * The German messages. Commands stay English so they work in every language.
+ */
+export default {
+    name: "Deutsch",
+    dateFormat: "dd D. MMM HH:mm [UTC]",
+
+    aggregates: {
+        mean: "Durchschnittliche",
+        median: "Mittlere",
+        mode: "Häufigste"
+    },
+
+    actions: {
+        plan: "eine Aufgabenliste planen",
+        start: "die Planung starten",
+        skip: "eine Aufgabe überspringen",
+        pass: "eine Aufgabe zurückstellen",
+        estimate: "die Schätzung festlegen",
+        reveal: "die Stimmen aufdecken",
+        stop: "die Planung beenden",
+        undo: "eine Schätzung rückgängig machen",
+        revisit: "eine Aufgabe erneut schätzen lassen",
+        commit: "die Schätzungen übertragen",
+        accept: "die vorgeschlagenen Schätzungen übernehmen",
+        moderator: "die Moderation abgeben",
+        queue: "die Warteschlange umsortieren",
+        capacity: "die Kapazität festlegen",
+        deck: "das Deck wechseln",
+        set: "die Einstellungen ändern",
+        language: "die Sprache ändern",
+        role: "die Rolle anderer ändern"
+    },
+
+    sources: {
+        teamwork: "Aufgabenliste",
+        multiple: "Aufgabenlisten",
+        other: "Aufgaben"
+    },
+
+    settings: {
+        threshold: "wie viel Mal höher die höchste Stimme als die niedrigste sein darf, bevor neu abgestimmt wird",
+        passes: "die maximale Anzahl an Abstimmungsrunden pro Aufgabe",
+        timelimit: "Minuten, die jede Abstimmungsrunde offen ist, 0 für kein Limit",
+        reminder: "Minuten zwischen den Erinnerungen an alle, die bei einem Zeitlimit noch nicht abgestimmt haben, 0 für keine",
+        timeout: "was passiert, wenn die Zeit um ist: die Runde mit den abgegebenen Stimmen schließen (`close`) oder die Aufgabe zurückstellen (`pass`)",
+        writeback: "wann die Schätzungen nach Teamwork geschrieben werden: sofort (`immediate`), gesammelt zur Prüfung und mit `commit` am Ende (`batched`) oder nie (`dry-run`)",
+        aggregate: "welcher Wert der Stimmen als Schätzung vorgeschlagen wird: der Durchschnitt (`mean`), der Median (`median`) oder der häufigste Wert (`mode`)",
+        snap: "die vorgeschlagene Schätzung auf die nächste Karte des Decks runden, `on` oder `off`",
+        correction: "den Durchschnitt korrigiert um die bisherige Genauigkeit des Teams zeigen (siehe `accuracy`), `on` oder `off`",
+        digest: "Stunden vor der Frist einer asynchronen Planung, zu denen alle eine Übersicht der noch offenen Aufgaben bekommen, 0 für keine",
+        workday: "Stunden pro Arbeitstag, für Schätzungen in Tagen oder Wochen",
+        comment: "die Aufgaben, sobald ihre Schätzung geschrieben ist, mit Schätzung, Stimmen und Notizen kommentieren, `on` oder `off`",
+        capture: "was während einer Runde im Raum gesagt wird, zu den Notizen der Aufgabe hinzufügen, `on` oder `off`"
+    },
+
+    // Getting started
+    title: "Sprint Planning Poker",
+    titlePlanning: "Sprint Planning Poker: {name}",
+    selectTasklist: "Zu Beginn muss @{moderator} (die Moderation) eine Aufgabenliste zum Planen auswählen. *Beispiel:* `@{bot} plan http://digitalcrew.teamwork.com/#tasklist/124424`. Du kannst auch einen Link zu einer CSV- oder JSON-Datei mit Aufgaben oder Issues schicken oder sie einfügen.",
+    welcomeDirect: "Hallo @{handle}, du nimmst mit {people} am Sprint Planning Poker teil. Ich frage dich nach deinen Schätzungen, sobald die Planung beginnt.",
+    joined: "{icon.alert} {name} nimmt jetzt an der Planung teil. Hallo @{handle}!",
+    left: "{icon.alert} {name} hat den Raum verlassen.",
+    leftDirect: "{name}, du hast die Planung verlassen oder wurdest entfernt, ich störe dich nicht mehr.",
+    leftDirectNamed: "{name}, du hast die Planung von {planning} verlassen oder wurdest entfernt, ich störe dich nicht mehr.",
+
+    // Commands
+    retry: "{icon.error} {message} Bitte versuche es noch einmal.",
+    unknownCommand: "Das habe ich nicht verstanden.",
+    unknownDirect: "{icon.question} Das habe ich nicht verstanden. Schreib `help`, um die Befehle zu sehen, die du mir schicken kannst.",
+    onlyModerator: "Sorry @{handle}, nur die Moderation kann {action}.",
+    liveOnly: "Sorry, in einer asynchronen Planung kannst du nicht {action}.",
+    provideTasklist: "Bitte gib eine Aufgabenliste zum Planen an.",
+    provideEstimate: "Bitte gib eine Schätzung an. Beispiel: `{example}`",
+    provideTask: "Bitte gib die Aufgabe an. Beispiel: `{example}`",
+    provideRevisit: "Bitte gib die Aufgabe an, die neu geschätzt werden soll. Beispiel: `revisit #122412`",
+    provideModerator: "Bitte gib die neue Moderation an. Beispiel: `moderator @jane`",
+    provideDeadline: "Bitte gib der asynchronen Planung eine Frist. Beispiel: `start async 2 days` oder `start async 2026-10-21 17:00`",
+    noAccuracyHistory: "Sorry, ich speichere keine Schätzungen, deren Genauigkeit ich messen könnte.",
+    unknownReport: "Unbekanntes Berichtsformat \"{format}\". Bitte nimm eines von {formats}.",
+    notInPlanning: "@{handle} nimmt nicht an dieser Planung teil. Füge die Person zuerst dem Raum hinzu.",
+
+    // Validation
+    invalidDuration: "Ich konnte \"{input}\" nicht als Schätzung verstehen. Versuch es z. B. mit `4`, `2h 30m`, `90 min`, `1.5 days` oder `half a day`.",
+    notACard: "\"{input}\" ist keine Karte im Deck {deck}. Bitte nimm eine von: {cards}.",
+    invalidHoursPerPoint: "Ungültige Anzahl Stunden pro Punkt {hours}.",
+    unknownDeck: "Das Deck \"{input}\" kenne ich nicht. Nimm eines von {presets} oder eine Liste von Karten, z. B. `1, 2, 4, 8` oder `S=2, M=4, L=8`.",
+    customDeckTooSmall: "Ein eigenes Deck braucht mindestens zwei Karten.",
+    capacityEither: "Bitte gib entweder die Stunden des Teams an (z. B. `capacity 120`) oder die jeder Person (z. B. `capacity @jane 30 @emmet 20`).",
+    invalidHours: "Ungültige Anzahl Stunden \"{input}\".",
+    invalidPersonHours: "Ungültige Anzahl Stunden \"{input}\" für {person}.",
+    invalidFocus: "Der Fokusfaktor muss zwischen 0 und 1 liegen (oder ein Prozentsatz sein), z. B. `focus 0.8`.",
+    invalidOrder: "Aufgaben können nach {first} oder {second} sortiert werden.",
+    unknownPlanOption: "Unbekannte Planungsoption \"{name}\". Nimm --unestimated, --tag, --assignee, --subtasks oder --order.",
+    providePlanOptionValue: "Bitte gib {name} einen Wert.",
+    unknownSetting: "Es gibt keine Einstellung \"{name}\". Verfügbare Einstellungen: {settings}.",
+    provideSettingValue: "Bitte gib einen Wert für {name} an.",
+    pickOneOf: "Bitte nimm eines von {values}.",
+    // Decks and capacity
+    units: {
+        hours: "{value} Std.",
+        points: "{value} Punkt(e)"
+    },
+    anyDuration: "beliebig viele Stunden oder eine Dauer",
+    capacityFocus: "{percent}% Fokus",
+
+    // Task sources
+    unknownSource: "Das kenne ich nicht. Bitte gib die URL einer Teamwork-Aufgabenliste an, einen Link zu einer CSV- oder JSON-Datei oder füge die Aufgaben als CSV oder JSON ein.",
+    jsonNotList: "Dein JSON sollte eine Liste von Aufgaben oder Issues sein.",
+    csvWithoutTasks: "Deine CSV-Datei braucht eine Kopfzeile und mindestens eine Aufgabe.",
+    taskWithoutTitle: "Aufgabe #{number} in deiner Datei hat keinen Titel.",
+    issueWithoutTitle: "Issue #{number} hat keinen Titel.",
+    downloadFailed: "{url} konnte nicht heruntergeladen werden ({reason}).",
+    downloadReasons: {
+        scheme: "nur http- und https-Links können heruntergeladen werden",
+        privateHost: "sie liegt in einem privaten Netzwerk",
+        redirects: "zu viele Weiterleitungen",
+        status: "{status}",
+        size: "sie ist größer als {size} MB",
+        timeout: "es hat zu lange gedauert"
+    },
+
+    // Reports
+    report: {
+        title: "**Bericht der Sprintplanung: {name}**{state}",
+        untitled: "ohne Titel",
+        stopped: " (abgebrochen)",
+        inProgress: " (läuft noch)",
+        details: "Moderation: @{moderator}, Deck: {deck}, Dauer: {duration}",
+        columns: "| # | Aufgabe | Stimmen | Durchschnitt | Endgültig | Stunden | Überschrieben von | Dauer |",
+        skipped: "Übersprungen: {tasks}",
+        passed: "Zurückgestellt: {tasks}",
+        none: "keine",
+        notes: "Notizen:",
+        totals: "**Summe:** {estimated} von {tasks} Aufgaben geschätzt, {skipped} übersprungen, {pending} offen, {overridden} überschrieben, insgesamt **{hours} Std.**{capacity}.",
+        totalsCapacity: " von {capacity} Std. Kapazität"
+    },
+    accuracy: {
+        provideTasklist: "Bitte gib die URL einer Teamwork-Aufgabenliste an, deren Genauigkeit ich messen soll.",
+        noneEstimated: "Keine der Aufgaben in **{name}** wurde in einer Planung geschätzt.",
+        noTimeLogged: "Auf den geplanten Aufgaben in **{name}** wurde noch keine Zeit erfasst.",
+        header: "{icon.accuracy} **Schätzgenauigkeit: {name}** ({tasks} geplante Aufgabe(n) mit erfasster Zeit)",
+        team: "Das Team hat {estimated} Std. geschätzt und {actual} Std. erfasst, das Team {bias}. Vorgeschlagener Korrekturfaktor: **x{factor}**, wird in künftigen Runden neben dem Durchschnitt angezeigt.",
+        columns: "| Person | Aufgaben | Geschätzt | Tatsächlich | Abweichung | Faktor |",
+        noEstimates: "hat keine Schätzungen",
+        onTarget: "liegt richtig",
+        underEstimates: "schätzt {percent}% zu niedrig",
+        overEstimates: "schätzt {percent}% zu hoch"
+    },
+
+    invalidSettings: {
+        threshold: "Der Schwellenwert muss eine Zahl größer als 1 sein.",
+        passes: "Die Anzahl der Durchgänge muss eine ganze Zahl von mindestens 1 sein.",
+        timelimit: "Das Zeitlimit muss eine Anzahl Minuten sein, oder 0 für kein Limit.",
+        reminder: "Der Erinnerungsabstand muss eine Anzahl Minuten sein, oder 0 für keine Erinnerungen.",
+        digest: "Die Zusammenfassung muss eine Anzahl Stunden vor der Frist sein, oder 0 für keine Zusammenfassung.",
+        workday: "Der Arbeitstag muss eine Anzahl Stunden zwischen 0 und 24 sein."
+    },
+
+    // Roles
+    nowObserving: "{icon.observer} {name} schaut jetzt nur zu, ich frage nicht mehr nach Schätzungen.",
+    nowVoter: "{icon.announcement} {name} stimmt jetzt mit ab.",
+    nowVoterNextTask: "{icon.announcement} {name} stimmt ab der nächsten Aufgabe mit ab.",
+    alreadyModerator: "@{handle} moderiert bereits.",
+    pickFinalFirst: "Bitte wähle zuerst die endgültige Schätzung für die aktuelle Aufgabe, bevor du die Moderation abgibst.",
+    handedOver: "{icon.moderator} {name} hat die Moderation abgegeben, @{handle} moderiert jetzt.",
+
+    // Language
+    languageCurrent: "{icon.announcement} Ich spreche {name}. Verfügbare Sprachen: {languages}.",
+    languageChanged: "{icon.announcement} Okay, ab jetzt spreche ich Deutsch.",
+    unknownLanguage: "Ich spreche kein \"{language}\". Verfügbare Sprachen: {languages}.",
+
+    // Planning
+    alreadyPlanning: "Ich kann keine weitere Aufgabenliste planen, solange wir schon planen!",
+    plannedElsewhere: "**{name}** wird schon in Raum {room} geplant, benutze `@{bot} poker join <tasklist url>` in einem anderen Raum, um mitzumachen.",
+    noTasksInSource: "Deine Aufgabenliste scheint keine Aufgaben zu haben!",
+    nothingMatches: "Keine der {count} Aufgaben in **{name}** passt, es gibt nichts zu planen.",
+    planning: "{icon.announcement} Okay, wir planen die {source} **{name}**. {icon.waiting} Es gibt {count} Aufgaben zu planen{filtered}. @{moderator}, schreib mir zum Starten (`@{bot} start`). `@{bot} queue` zeigt die Reihenfolge.",
+    filteredOut: " ({count} herausgefiltert)",
+    cantWriteBack: "{icon.alert} Ich kann keine Schätzungen nach {source} zurückschreiben, sie werden am Ende der Planung aufgelistet.",
+    notInQueue: "Aufgabe #{id} wartet nicht in der Warteschlange.",
+    invalidPosition: "Bitte gib eine Position zwischen 1 und {count} an. Beispiel: `queue #{id} 1`",
+    queueEmpty: "{icon.waiting} Es warten keine Aufgaben in der Warteschlange.",
+    queueHeader: "{icon.waiting} **{count} Aufgabe(n) in der Warteschlange:**",
+    queueItem: "{number}. Aufgabe #{id}: {task}",
+    deckCurrent: "{icon.announcement} Wir schätzen mit dem Deck {deck}.",
+    deckChanged: "{icon.announcement} Wir schätzen ab jetzt mit dem Deck {deck}.",
+    deckLocked: "Sorry, das Deck kann nicht mehr gewechselt werden, sobald die Planung begonnen hat.",
+    settingChanged: "{icon.announcement} Die Einstellung **{name}** ist jetzt **{value}**.",
+    settingsHeader: "{icon.help} **Einstellungen**",
+
+    // Live rounds
+    noTasks: "Ohne Aufgaben kann die Planung nicht starten. Bitte gib mit `@{bot} plan <tasklist>` eine Aufgabenliste an.",
+    taskCancelled: "{icon.cancelled} Die letzte Aufgabe muss nicht mehr geschätzt werden, wir überspringen sie vorerst.",
+    votingComplete: "{icon.complete} Abstimmung beendet. {aggregate} Schätzung: **{estimate}**{correction}",
+    correction: " (~{hours} Std. korrigiert um die bisherige Genauigkeit des Teams, x{factor})",
+    awaitingFinal: "{icon.waiting} Warte auf die endgültige Schätzung der Moderation.",
+    selectFinal: "{icon.question} Bitte wähle die endgültige Schätzung für Aufgabe #{id}. {aggregate} Schätzung war {estimate}. Karten: {cards}.",
+    finalPicked: "{icon.announcement} Die Moderation hat die endgültige Schätzung {estimate} gewählt.",
+    estimateNothing: "Sorry, ohne Aufgabe gibt es nichts zu schätzen. Bitte wähle eine Aufgabenliste und leg los.",
+    noCurrentTask: "Es gibt leider keine aktuelle Aufgabe, für die ich die Schätzung festlegen könnte!",
+    updating: "{icon.complete} Aktualisiere Aufgabe **{title}** mit einer Schätzung von **{estimate}**{hours}.",
+    recording: "{icon.complete} Notiere Aufgabe **{title}** mit einer Schätzung von **{estimate}**{hours}.",
+    estimateHours: " ({hours} Std.)",
+    commentFailed: "{icon.alert} Ich konnte Aufgabe **{title}** nicht kommentieren ({error}), ihre Notizen stehen weiterhin im Bericht.",
+    writeFailed: "{icon.alert} Ich konnte Aufgabe **{title}** nicht aktualisieren ({error}), ich versuche es am Ende noch einmal.",
+    nextTask: "{icon.announcement} Weiter zur nächsten Aufgabe (#{completed} von {total}, noch {pending}).",
+    noTaskToVote: "Es gibt keine Aufgabe, über die abgestimmt wird!",
+    voteChanged: "{icon.complete} Deine Stimme wurde auf {estimate} geändert.",
+    noTaskToAbstain: "Es gibt keine Aufgabe, bei der du dich enthalten könntest!",
+    abstained: "{icon.skip} Okay, du setzt bei dieser Aufgabe aus.",
+    abstaining: "{icon.skip} {name} enthält sich bei dieser Aufgabe.",
+    noVotesToReveal: "Es gibt keine Stimmen zum Aufdecken!",
+    noTaskToSkip: "Es gibt keine Aufgabe zum Überspringen!",
+    skipWhich: "Bitte gib die Aufgabe an, die übersprungen werden soll. Beispiel: `skip #122412`",
+    skipping: "{icon.skip} Überspringe Aufgabe {task} und nehme sie aus der Planung.",
+    noTaskToPass: "Es gibt keine Aufgabe zum Zurückstellen!",
+    passing: "{icon.skip} Moment, diese Aufgabe machen wir später. Sie kommt ans Ende der Warteschlange.",
+    timeUpClosing: "{icon.timer} Die Zeit ist um! Die Abstimmung wird ohne {people} geschlossen.",
+    timeUpWaiting: "{icon.timer} Die Zeit ist um! Es fehlen noch {people}.",
+    timeUpNobody: "{icon.timer} Die Zeit ist um! Niemand hat abgestimmt.",
+
+    // Voting in a round
+    task: "---\n{icon.task} Aufgabe #{id}: {task}",
+    votingPass: "**Abstimmungsrunde #{number}**, die Schätzungen lagen zu weit auseinander.",
+    estimateRequest: "Bitte gib eine Zeitschätzung ein, z. B. {example}",
+    pickCard: "Bitte wähle eine Karte aus dem Deck {deck}, z. B. {example}",
+    estimateSubmitted: "{icon.complete} Danke. Deine Schätzung von {estimate} wurde abgegeben.",
+    hasVoted: "{icon.voted} {name} hat abgestimmt.",
+    roundClosed: "Die Abstimmung über diese Aufgabe ist geschlossen.",
+    notVotingOnTask: "Du stimmst über diese Aufgabe nicht ab.",
+    noVotingToReveal: "Es läuft keine Abstimmung, deren Stimmen ich aufdecken könnte.",
+    nothingToReveal: "Noch hat niemand abgestimmt, es gibt nichts aufzudecken.",
+    reminder: "{icon.timer} Erinnerung: wir warten auf deine Schätzung für Aufgabe #{id}, noch {left} Zeit zum Abstimmen.",
+    timeLeftWarning: "{icon.timer} Noch {left} Zeit zum Abstimmen! Es fehlen noch {people}.",
+    noTimeLeft: "keine Zeit",
+    revealedByModerator: "{icon.reveal} Die Moderation hat die Stimmen aufgedeckt.",
+    revealedEveryone: "{icon.reveal} Alle haben abgestimmt, die Stimmen werden aufgedeckt.",
+    stillDiverging: "{icon.warning} Die Schätzungen liegen nach {count} Runden immer noch auseinander, die Moderation entscheidet.",
+    diverging: "{icon.diverged} Die Schätzungen liegen zu weit auseinander. @{lowest} ({low}) und @{highest} ({high}), bitte erklärt eure Schätzungen. Abstimmungsrunde #{number} beginnt.",
+    resultPerson: "Person",
+    resultEstimate: "Schätzung",
+    statisticsHeader: "| Durchschnitt | Median | Modus | Min | Max | Std.-Abw. | Konsens |",
+
+    // Async planning
+    alreadyStarted: "Die Planung hat schon begonnen.",
+    asyncRunning: "Die Planung ist asynchron, abgestimmt wird bis {deadline}.",
+    asyncRunningClosed: "Die Planung ist asynchron, die Abstimmung ist geschlossen.",
+    asyncOpen: "{icon.announcement} Über die {count} Aufgaben wird bis **{deadline}** ({relative}) abgestimmt. Ich habe allen die Liste der Aufgaben geschickt, die Stimmen bleiben bis zum Ende der Abstimmung verdeckt.",
+    ballotHeader: "{icon.announcement} Bitte stimme bis **{deadline}** ({relative}) in beliebiger Reihenfolge über die Aufgaben von **{name}** ab:",
+    ballotHelp: "Schick mir für jede `vote #<task> <estimate>`, z. B. `vote #{id} {example}` ({cards}). Bis zum Ende der Abstimmung kannst du deine Stimmen ändern, mit `abstain #<task>` setzt du bei einer Aufgabe aus.",
+    taskItem: "* Aufgabe #{id}: {task}",
+    asyncVoteSubmitted: "{icon.complete} Danke. Deine Schätzung von {estimate} für Aufgabe #{id} wurde abgegeben.",
+    asyncVoteChanged: "{icon.complete} Deine Stimme für Aufgabe #{id} wurde auf {estimate} geändert.",
+    asyncAbstained: "{icon.skip} Okay, du setzt bei Aufgabe #{id} aus.",
+    asyncVotingClosed: "Die Abstimmung ist geschlossen, jetzt ist die Moderation dran.",
+    notVoting: "Du stimmst in dieser Planung nicht ab.",
+    notWaiting: "Aufgabe #{id} wartet nicht auf eine Schätzung.",
+    everyoneVoted: "{icon.complete} Alle haben über jede Aufgabe abgestimmt.",
+    digest: "{icon.timer} Erinnerung: die Abstimmung endet in {left}. Du hast noch nicht abgestimmt über:",
+    digestRoom: "{icon.timer} Die Abstimmung endet in {left}. {progress}",
+    asyncProgress: "{votes} von {total} Stimmen sind abgegeben.",
+    asyncProgressWaiting: "{votes} von {total} Stimmen sind abgegeben, es fehlen noch {people}.",
+    asyncMissing: "@{handle} ({count} Aufgabe(n))",
+    noAsyncVoting: "Es läuft keine asynchrone Abstimmung, die ich schließen könnte.",
+    votingClosed: "{icon.complete} Die Abstimmung über **{name}** ist geschlossen. @{moderator}, bitte prüfe die Ergebnisse.",
+    asyncResultsHeader: "| Aufgabe | Stimmen | Vorschlag | Min | Max | Konsens |",
+    asyncDiverged: "{icon.diverged} Die Stimmen liegen mehr als das {threshold}-Fache auseinander, eine Diskussion vor dem Übernehmen lohnt sich.",
+    acceptHelp: "{icon.help} @{moderator}, mit `@{bot} accept` übernimmst du alle vorgeschlagenen Schätzungen (Aufgaben ohne Stimmen werden übersprungen), mit `@{bot} accept #<task> #<task>` einige davon, mit `@{bot} estimate #<task> <estimate>` legst du eine selbst fest, mit `@{bot} skip #<task>` überspringst du eine.",
+    nothingToAccept: "Es gibt nichts zu übernehmen, vorgeschlagene Schätzungen werden nach dem Ende einer asynchronen Abstimmung übernommen.",
+    nobodyVoted: "Niemand hat über {tasks} abgestimmt, bitte lege die Schätzung selbst fest oder überspringe die Aufgabe.",
+    skippingUnvoted: "{icon.skip} Niemand hat über {tasks} abgestimmt, ich überspringe sie.",
+    deadlineInvalid: "Bitte gib die Frist als Zeitspanne ab jetzt (z. B. `2 days`) oder als Datum und Uhrzeit in UTC (z. B. `2026-10-21 17:00`) an.",
+    deadlinePast: "Die Frist muss in der Zukunft liegen.",
+    deadlineTooFar: "Die Frist darf höchstens {days} Tage entfernt sein.",
+
+    // Writing estimates back
+    reviewEstimates: "{icon.announcement} Alle Aufgaben sind geschätzt. Bitte prüfe die Schätzungen, bevor sie nach {source} geschrieben werden:",
+    reviewItemFailed: "* {task} - **{estimate}** (fehlgeschlagen: {error})",
+    reviewHelp: "{icon.help} @{moderator}, mit `@{bot} commit` werden sie geschrieben, mit `@{bot} undo` / `@{bot} revisit <task #>` wird neu abgestimmt.",
+    cantCommit: "Es gibt nichts zu übertragen, die Schätzungen können nicht zu diesen Aufgaben zurückgeschrieben werden.",
+    dryRunCommit: "Das ist ein Probelauf, es wird nichts geschrieben. Benutze zuerst `set writeback batched`, um die Schätzungen zu übertragen.",
+    allWritten: "Alle Schätzungen wurden schon geschrieben.",
+    writing: "{icon.waiting} Schreibe {count} Schätzung(en) nach {source}...",
+    writeBackSummary: "{icon.complete} {written} von {total} Aufgabe(n) in {source} aktualisiert.",
+    notUpdated: "{icon.alert} Nicht aktualisiert: {tasks}.",
+    notEstimated: "nicht geschätzt",
+
+    // Undo and revisit
+    noPlanningToUndo: "Es läuft keine Planung, in der ich etwas rückgängig machen könnte.",
+    nothingToUndo: "Es wurden noch keine Aufgaben geschätzt, es gibt nichts rückgängig zu machen.",
+    undone: "{icon.announcement} Die Schätzung von **{estimate}** für Aufgabe {task} ist rückgängig gemacht. Sie ist als Nächstes wieder dran.",
+    undoneReverted: "{icon.announcement} Die Schätzung von **{estimate}** für Aufgabe {task} ist rückgängig gemacht, sie steht wieder auf {previous}. Sie ist als Nächstes wieder dran.",
+    noEstimate: "keine Schätzung",
+    hours: "{hours} Std.",
+    revertFailed: "Ich konnte die vorherige Schätzung von Aufgabe **{title}** nicht wiederherstellen ({error}), sie ist weiterhin {estimate}. Bitte versuche es noch einmal.",
+    noPlanningToRevisit: "Es läuft keine Planung, in der ich eine Aufgabe erneut schätzen lassen könnte.",
+    notRevisitable: "Aufgabe #{id} wurde in dieser Planung weder geschätzt noch übersprungen.",
+    revisited: "{icon.announcement} Aufgabe {task} steht wieder am Ende der Warteschlange und wird neu geschätzt.",
+
+    // Notes
+    noTaskToNote: "Es wird gerade keine Aufgabe geplant, zu der ich eine Notiz hinzufügen könnte.",
+    provideNote: "Bitte gib die Notiz an. Beispiel: `{example}`",
+    noteAdded: "{icon.note} Notiz zu Aufgabe #{id} hinzugefügt.",
+    commentEstimate: "Geschätzt auf {estimate}{hours} im Sprint Planning Poker von {name}, festgelegt von {by}.",
+    commentVotes: "Stimmen: {votes}",
+    commentNoVotes: "Niemand hat abgestimmt.",
+    commentNotes: "Notizen:",
+    commentNote: "- {name}: {text}",
+    commentReverted: "Die Schätzung von {estimate} aus dem Sprint Planning Poker von {name} wurde rückgängig gemacht, die Aufgabe steht wieder auf {previous}, bis sie neu geschätzt wird.",
+
+    // Capacity
+    noCapacity: "{icon.capacity} Für diesen Sprint wurde keine Kapazität festgelegt. Beispiel: `capacity 120 focus 0.8`",
+    capacityOff: "{icon.capacity} Okay, ich verfolge die Kapazität des Sprints nicht mehr.",
+    capacitySet: "{icon.capacity} Die Kapazität des Sprints ist {capacity}. {status}",
+    capacityLeft: "{icon.capacity} **{planned} von {total} Std.** Kapazität verplant, noch {left} Std. frei.",
+    capacityOver: "{icon.capacity} **{planned} von {total} Std.** Kapazität verplant, **{over} Std. zu viel**.",
+    overCapacity: "{icon.alert} Der Plan passt nicht mehr in den Sprint, er liegt **{hours} Std.** über der Kapazität.",
+
+    // The end
+    noPlanningToStop: "Es läuft keine Planung, die ich beenden könnte.",
+    stopped: "{icon.alert} Die Moderation hat die Planung nach {duration} beendet, {count} Aufgabe(n) wurden nicht geschätzt.",
+    complete: "{icon.celebrate} Sprint Planning abgeschlossen. Es hat nur {duration} gedauert.",
+    reportHelp: "{icon.help} Den vollständigen Bericht gibt es mit `@{bot} report [md|csv|json]`.",
+    cancelled: "{icon.alert} Diese Planung wurde abgebrochen, {reason}. Die bisherigen Schätzungen bleiben erhalten.",
+    reasonIdle: "weil sie seit {idle} niemand benutzt hat",
+    reasonCancelledBy: "@{handle} hat sie abgebrochen",
+
+    // Restarts
+    back: "{icon.alert} Ich bin wieder da! Entschuldigung, die Planung ist genau da, wo wir aufgehört haben.",
+    backNamed: "{icon.alert} Ich bin wieder da! Entschuldigung, die Planung von **{name}** ist genau da, wo wir aufgehört haben.",
+    resuming: "{icon.alert} Ich bin wieder da! Entschuldigung, die Planung von **{name}** geht bei Aufgabe #{number} von {total} weiter.",
+    backAsyncClosed: "{icon.alert} Ich bin wieder da! Entschuldigung, die Ergebnisse von **{name}** warten noch auf die Moderation.",
+    backAsyncMissed: "{icon.alert} Ich bin wieder da! Entschuldigung, die Abstimmung über **{name}** ist während meiner Abwesenheit zu Ende gegangen.",
+    backAsyncOpen: "{icon.alert} Ich bin wieder da! Entschuldigung, über **{name}** wird noch bis {deadline} abgestimmt.",
+
+    // Status
+    statusModerator: "{icon.moderator} {name} moderiert.",
+    statusRoles: "{icon.observer} Abstimmende: {voters}. Zuschauende: {observers}.",
+    statusEstimated: "{icon.complete} {completed} von {total} Aufgaben geschätzt.",
+    statusAsyncOpen: "{icon.timer} Abgestimmt wird bis {deadline} ({relative}). {progress}",
+    statusAsyncClosed: "{icon.waiting} Die Abstimmung ist geschlossen, {count} Aufgabe(n) warten auf die Moderation.",
+    statusCurrent: "{icon.announcement} Aktuelle Aufgabe: {task}",
+    statusEstimating: "{icon.waiting} {people} schätzen noch.",
+    statusTimeLeft: "{icon.timer} Noch {left} Zeit zum Abstimmen.",
+    statusComplete: "{icon.celebrate} Sprint Planning abgeschlossen.",
+    nobody: "niemand",
+    summary: "* Raum {room}: **{name}**, moderiert von @{moderator}, {progress}, zuletzt aktiv {active}.",
+    summaryUnnamed: "noch nichts geplant",
+    summaryProgress: "{completed} von {total} Aufgabe(n) geschätzt",
+    summaryNotStarted: "nicht gestartet",
+
+    help: [
+        "{icon.help} **Sprint Planning Poker Hilfe**",
+        "* *\"@{bot} plan <tasklist url>\"*, um die zu planende Aufgabenliste festzulegen (nur die Moderation). Links zu oder eingefügte CSV- und JSON-Dateien mit Aufgaben oder Issues gehen auch. Mehrere Links werden zusammen geplant und `--unestimated`, `--tag <tag>`, `--assignee @person`, `--subtasks` und `--order priority|due` wählen die Aufgaben aus.",
+        "* *\"@{bot} start\"*, um die Planung zu beginnen (nur die Moderation). *\"@{bot} start async <deadline>\"* öffnet alle Aufgaben bis zu einer Frist zur Abstimmung, z. B. `2 days` oder `2026-10-21 17:00` (UTC), für Teams, die nicht gemeinsam planen können.",
+        "* *\"@{bot} skip [task #]\"*, um eine Aufgabe zu überspringen (nur die Moderation).",
+        "* *\"@{bot} pass\"*, um die Aufgabe ans Ende der Warteschlange zu stellen (nur die Moderation).",
+        "* *\"@{bot} deck <fibonacci|points|tshirt|hours|custom cards>\"*, um das Deck zum Schätzen zu wählen (nur die Moderation).",
+        "* *\"@{bot} estimate <card>\"*, um die Schätzung selbst festzulegen (nur die Moderation, @{moderator}, kann das).",
+        "* *\"@{bot} vote <card>\"*, um während einer Runde öffentlich abzustimmen, *\"@{bot} vote #<task> <card>\"* in einer asynchronen Planung.",
+        "* *\"@{bot} reveal\"*, um die Stimmen aufzudecken, bevor alle abgestimmt haben, oder die Abstimmung einer asynchronen Planung früher zu schließen (nur die Moderation).",
+        "* *\"@{bot} accept [task #...]\"*, um die vorgeschlagenen Schätzungen nach dem Ende einer asynchronen Abstimmung zu übernehmen (nur die Moderation).",
+        "* *\"@{bot} set <setting> <value>\"*, um eine Einstellung zu ändern, z. B. die Schwelle für eine neue Abstimmung (nur die Moderation). *\"@{bot} set\"* listet sie auf.",
+        "* *\"@{bot} language <language>\"*, um die Sprache dieser Planung zu ändern (nur die Moderation). *\"@{bot} language\"* listet sie auf.",
+        "* *\"@{bot} note <text>\"*, um der aktuellen Aufgabe eine Notiz hinzuzufügen, *\"@{bot} note #<task> <text>\"* in einer asynchronen Planung. Die Notizen kommen mit Schätzung und Stimmen an die Aufgabe.",
+        "* *\"@{bot} report [md|csv|json]\"*, um einen Bericht über die bisherige Planung zu bekommen.",
+        "* *\"@{bot} accuracy <tasklist url>\"*, um bisherige Schätzungen mit der erfassten Zeit einer Aufgabenliste zu vergleichen.",
+        "* *\"@{bot} status\"*, um zu sehen, wer noch schätzt.",
+        "* *\"@{bot} undo\"*, um die letzte Schätzung rückgängig zu machen und neu abzustimmen (nur die Moderation).",
+        "* *\"@{bot} revisit <task #>\"*, um eine geschätzte oder übersprungene Aufgabe zurück in die Warteschlange zu stellen (nur die Moderation).",
+        "* *\"@{bot} observe [@person]\"*, um nur zuzuschauen, *\"@{bot} voter [@person]\"*, um wieder mit abzustimmen (nur die Moderation kann das für andere ändern).",
+        "* *\"@{bot} moderator @person\"*, um die Moderation an jemand anderen abzugeben (nur die Moderation).",
+        "* *\"@{bot} commit\"*, um die geprüften Schätzungen zu schreiben, wenn die Einstellung `writeback` auf `batched` steht (nur die Moderation).",
+        "* *\"@{bot} queue [<task #> <position>]\"*, um die wartenden Aufgaben zu sehen oder eine zu verschieben (nur die Moderation kann sie verschieben).",
+        "* *\"@{bot} capacity <hours | @person hours...> [focus 0.8]\"*, um festzulegen, wie viele Stunden in den Sprint passen, und den Plan damit zu vergleichen (nur die Moderation). *\"@{bot} capacity\"* zeigt, was noch frei ist.",
+        "* *\"@{bot} stop\"*, um die Planung früher mit einer Zusammenfassung des Geschätzten zu beenden (nur die Moderation).",
+        "* *Die meisten Befehle kannst du mir auch privat schicken, schreib dort \"help\", um sie zu sehen.*",
+        "* *Um Personen zur Planung hinzuzufügen oder zu entfernen, benutze den Tab für Personen.*"
+    ].join("\n"),
+
+    directHelp: "{icon.help} **Befehle, die du mir hier schicken kannst**",
+    directHelpVote: "* *\"vote <card>\"*, um über die aktuelle Aufgabe abzustimmen oder deine Stimme zu ändern, bevor die Stimmen aufgedeckt werden.",
+    directHelpAbstain: "* *\"abstain\"*, um bei der aktuellen Aufgabe auszusetzen.",
+    directHelpVoteAsync: "* *\"vote #<task> <card>\"*, um über eine Aufgabe abzustimmen oder deine Stimme zu ändern, bevor die Abstimmung endet.",
+    directHelpAbstainAsync: "* *\"abstain #<task>\"*, um bei einer Aufgabe auszusetzen.",
+    directHelpStatus: "* *\"status\"*, um zu sehen, wie die Planung läuft.",
+    directHelpHelp: "* *\"help\"*, um diese Nachricht zu zeigen.",
+    directHelpEstimate: "* *\"estimate <card>\"*, um die Schätzung für die aktuelle Aufgabe festzulegen.",
+    directHelpEstimateAsync: "* *\"estimate #<task> <card>\"*, um die Schätzung für eine Aufgabe festzulegen.",
+    directHelpSkip: "* *\"skip\"*, um die aktuelle Aufgabe zu überspringen.",
+    directHelpSkipAsync: "* *\"skip #<task>\"*, um eine Aufgabe zu überspringen.",
+    directHelpPass: "* *\"pass\"*, um die aktuelle Aufgabe ans Ende der Warteschlange zu stellen.",
+    directHelpStop: "* *\"stop\"*, um die Planung früher mit einer Zusammenfassung des Geschätzten zu beenden."
+};
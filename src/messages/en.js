@@ -0,0 +1,427 @@
+/**
+ * The English messages, which every other language falls back to. `{name}`
+ * placeholders are filled in when a message is sent and `{icon.name}` with the
+ * icons below.
+ */
+export default {
+    name: "English",
+    dateFormat: "ddd D MMM HH:mm [UTC]",
+
+    icons: {
+        announcement: ":microphone:",
+        waiting: ":hourglass_flowing_sand:",
+        alert: ":bangbang:",
+        complete: ":white_check_mark:",
+        celebrate: ":shipit:",
+        question: ":question:",
+        error: ":x:",
+        help: ":sos:",
+        skip: ":dash:",
+        moderator: ":wolf:",
+        timer: ":alarm_clock:",
+        observer: ":eyes:",
+        capacity: ":bar_chart:",
+        cancelled: ":no_entry:",
+        task: ":arrow_right:",
+        voted: ":heavy_check_mark:",
+        reveal: ":eyes:",
+        diverged: ":left_right_arrow:",
+        warning: ":warning:",
+        note: ":memo:",
+        accuracy: ":bar_chart:"
+    },
+
+    // How the suggested estimate is introduced for each `aggregate` setting
+    aggregates: {
+        mean: "Average",
+        median: "Median",
+        mode: "Most common"
+    },
+
+    // What a command does, for "only the moderator can ..."
+    actions: {
+        plan: "plan a tasklist",
+        start: "start the planning",
+        skip: "skip a task",
+        pass: "pass a task",
+        estimate: "set the estimate",
+        reveal: "reveal the votes",
+        stop: "stop the planning",
+        undo: "undo an estimate",
+        revisit: "revisit a task",
+        commit: "commit the estimates",
+        accept: "accept the suggested estimates",
+        moderator: "hand over the moderation",
+        queue: "reorder the queue",
+        capacity: "set the capacity",
+        deck: "change the deck",
+        set: "change the settings",
+        language: "change the language",
+        role: "change someone else's role"
+    },
+
+    sources: {
+        teamwork: "tasklist",
+        multiple: "tasklists",
+        other: "tasks"
+    },
+
+    settings: {
+        threshold: "how many times higher the highest vote can be than the lowest before the round is re-voted",
+        passes: "the maximum number of voting passes in a round",
+        timelimit: "minutes each voting pass is open for, 0 for no limit",
+        reminder: "minutes between reminders to the people who haven't voted yet when there's a time limit, 0 for none",
+        timeout: "what happens when the time limit is up: `close` the round with the votes received or `pass` the task",
+        writeback: "when final estimates are written to Teamwork: `immediate`ly, `batched` for review and `commit` at the end, or never in a `dry-run`",
+        aggregate: "which figure of the votes is suggested as the estimate: the `mean`, `median` or `mode`",
+        snap: "snap the suggested estimate to the closest card in the deck, `on` or `off`",
+        correction: "show the average corrected by the team's past accuracy (see `accuracy`), `on` or `off`",
+        digest: "hours before an async planning's deadline to send everyone a digest of the tasks they haven't voted on, 0 for none",
+        workday: "hours in a working day, used for estimates given in days or weeks",
+        comment: "comment on the tasks with their estimate, votes and notes once their estimate is written, `on` or `off`",
+        capture: "add what's said in the room during a round to the task's notes, `on` or `off`"
+    },
+
+    // Getting started
+    title: "Sprint Planning Poker",
+    titlePlanning: "Sprint planning poker: {name}",
+    selectTasklist: "To begin, @{moderator} (the moderator) must select a tasklist to plan. *Example:* `@{bot} plan http://digitalcrew.teamwork.com/#tasklist/124424`. You can also link to or paste a CSV or JSON file of tasks or issues.",
+    welcomeDirect: "Hi @{handle}, you've been included in Sprint Planning Poker with {people}. I'll be asking you for estimates soon when the planning starts.",
+    joined: "{icon.alert} {name} has joined the planning. Hi @{handle}!",
+    left: "{icon.alert} {name} has left the room.",
+    leftDirect: "{name}, you have left or have been removed from the planning, I won't annoy you anymore.",
+    leftDirectNamed: "{name}, you have left or have been removed from the planning of {planning}, I won't annoy you anymore.",
+
+    // Commands
+    error: "{icon.error} {message}",
+    retry: "{icon.error} {message} Please try again.",
+    unknownCommand: "I don't understand your input.",
+    unknownDirect: "{icon.question} I don't understand your input. Say `help` for the commands you can send me.",
+    onlyModerator: "Sorry @{handle}, only the moderator can {action}.",
+    liveOnly: "Sorry, you can't {action} in an async planning.",
+    provideTasklist: "Please provide a tasklist to plan.",
+    provideEstimate: "Please provide an estimate. Example: `{example}`",
+    provideTask: "Please give the task. Example: `{example}`",
+    provideRevisit: "Please provide the task to revisit. Example: `revisit #122412`",
+    provideModerator: "Please provide the new moderator. Example: `moderator @jane`",
+    provideDeadline: "Please give the async planning a deadline. Example: `start async 2 days` or `start async 2026-10-21 17:00`",
+    noAccuracyHistory: "Sorry, I don't keep a history of estimates to measure the accuracy of.",
+    unknownReport: "Unknown report format \"{format}\". Please use one of {formats}.",
+    notInPlanning: "@{handle} isn't in this planning. Add them to the room first.",
+
+    // Validation
+    invalidDuration: "I couldn't make sense of \"{input}\" as an estimate. Try e.g. `4`, `2h 30m`, `90 min`, `1.5 days` or `half a day`.",
+    notACard: "\"{input}\" isn't a card in the {deck} deck. Please pick one of: {cards}.",
+    invalidHoursPerPoint: "Invalid number of hours per point {hours}.",
+    unknownDeck: "I don't recognize the deck \"{input}\". Use one of {presets} or a list of cards e.g. `1, 2, 4, 8` or `S=2, M=4, L=8`.",
+    customDeckTooSmall: "A custom deck needs at least two cards.",
+    capacityEither: "Please give either the team's hours (e.g. `capacity 120`) or each person's (e.g. `capacity @jane 30 @emmet 20`).",
+    invalidHours: "Invalid number of hours \"{input}\".",
+    invalidPersonHours: "Invalid number of hours \"{input}\" for {person}.",
+    invalidFocus: "The focus factor must be between 0 and 1 (or a percentage), e.g. `focus 0.8`.",
+    invalidOrder: "Tasks can be ordered by {first} or {second}.",
+    unknownPlanOption: "Unknown plan option \"{name}\". Use --unestimated, --tag, --assignee, --subtasks or --order.",
+    providePlanOptionValue: "Please give {name} a value.",
+    unknownSetting: "There's no setting called \"{name}\". Available settings: {settings}.",
+    provideSettingValue: "Please provide a value for {name}.",
+    pickOneOf: "Please pick one of {values}.",
+    // Decks and capacity
+    units: {
+        hours: "{value} hr(s)",
+        points: "{value} point(s)"
+    },
+    anyDuration: "any number of hours or a duration",
+    capacityFocus: "{percent}% focus",
+
+    // Task sources
+    unknownSource: "I don't recognize that. Please provide a Teamwork tasklist URL, a link to a CSV or JSON file or paste the tasks as CSV or JSON.",
+    jsonNotList: "Your JSON should be a list of tasks or issues.",
+    csvWithoutTasks: "Your CSV needs a header row and at least one task.",
+    taskWithoutTitle: "Task #{number} in your file doesn't have a title.",
+    issueWithoutTitle: "Issue #{number} doesn't have a title.",
+    downloadFailed: "Unable to download {url} ({reason}).",
+    downloadReasons: {
+        scheme: "only http and https links can be downloaded",
+        privateHost: "it's on a private network",
+        redirects: "too many redirects",
+        status: "{status}",
+        size: "it's larger than {size} MB",
+        timeout: "it took too long"
+    },
+
+    // Reports
+    report: {
+        title: "**Sprint planning report: {name}**{state}",
+        untitled: "untitled",
+        stopped: " (stopped)",
+        inProgress: " (in progress)",
+        details: "Moderator: @{moderator}, deck: {deck}, duration: {duration}",
+        columns: "| # | Task | Votes | Average | Final | Hours | Overridden by | Duration |",
+        skipped: "Skipped: {tasks}",
+        passed: "Passed: {tasks}",
+        none: "none",
+        notes: "Notes:",
+        totals: "**Totals:** {estimated} of {tasks} tasks estimated, {skipped} skipped, {pending} pending, {overridden} overridden, **{hours} hr(s)** in total{capacity}.",
+        totalsCapacity: " of {capacity} hr(s) capacity"
+    },
+    accuracy: {
+        provideTasklist: "Please provide a Teamwork tasklist URL to measure the accuracy of.",
+        noneEstimated: "None of the tasks in **{name}** were estimated in a planning session.",
+        noTimeLogged: "No time has been logged on the planned tasks in **{name}** yet.",
+        header: "{icon.accuracy} **Estimation accuracy: {name}** ({tasks} planned task(s) with time logged)",
+        team: "The team estimated {estimated} hr(s) and logged {actual} hr(s), the team {bias}. Suggested correction factor: **x{factor}**, shown alongside the average in future rounds.",
+        columns: "| Person | Tasks | Estimated | Actual | Bias | Factor |",
+        noEstimates: "no estimates",
+        onTarget: "on target",
+        underEstimates: "under-estimates by {percent}%",
+        overEstimates: "over-estimates by {percent}%"
+    },
+
+    invalidSettings: {
+        threshold: "The threshold must be a number greater than 1.",
+        passes: "The number of passes must be a whole number of at least 1.",
+        timelimit: "The time limit must be a number of minutes, or 0 for no limit.",
+        reminder: "The reminder interval must be a number of minutes, or 0 for no reminders.",
+        digest: "The digest must be a number of hours before the deadline, or 0 for no digest.",
+        workday: "The working day must be a number of hours between 0 and 24."
+    },
+
+    // Roles
+    nowObserving: "{icon.observer} {name} is now observing, I won't ask them for estimates.",
+    nowVoter: "{icon.announcement} {name} is now a voter.",
+    nowVoterNextTask: "{icon.announcement} {name} is now a voter, starting with the next task.",
+    alreadyModerator: "@{handle} is already the moderator.",
+    pickFinalFirst: "Please pick the final estimate for the current task before handing over.",
+    handedOver: "{icon.moderator} {name} handed over, @{handle} is now the moderator.",
+
+    // Language
+    languageCurrent: "{icon.announcement} I'm speaking {name}. Available languages: {languages}.",
+    languageChanged: "{icon.announcement} Okay, I'll speak English from now on.",
+    unknownLanguage: "I don't speak \"{language}\". Available languages: {languages}.",
+
+    // Planning
+    alreadyPlanning: "Cannot plan another tasklist when we're already planning!",
+    plannedElsewhere: "**{name}** is already being planned in room {room}, use `@{bot} poker join <tasklist url>` in another room to join it.",
+    noTasksInSource: "Your tasklist doesn't seem to have any tasks!",
+    nothingMatches: "None of the {count} tasks in **{name}** match, there's nothing to plan.",
+    planning: "{icon.announcement} Okay, we're going to plan the **{name}** {source}. {icon.waiting} There are {count} tasks to plan{filtered}. To start, @{moderator} ping me to start (`@{bot} start`). `@{bot} queue` shows the order.",
+    filteredOut: " ({count} filtered out)",
+    cantWriteBack: "{icon.alert} I can't write estimates back to {source}, they'll be listed when the planning is complete.",
+    notInQueue: "Task #{id} isn't waiting in the queue.",
+    invalidPosition: "Please give a position between 1 and {count}. Example: `queue #{id} 1`",
+    queueEmpty: "{icon.waiting} There are no tasks waiting in the queue.",
+    queueHeader: "{icon.waiting} **{count} task(s) in the queue:**",
+    queueItem: "{number}. Task #{id}: {task}",
+    deckCurrent: "{icon.announcement} We're estimating with the {deck} deck.",
+    deckChanged: "{icon.announcement} We'll be estimating with the {deck} deck.",
+    deckLocked: "Sorry, the deck can't be changed once the planning has started.",
+    settingChanged: "{icon.announcement} Setting **{name}** is now **{value}**.",
+    settingsHeader: "{icon.help} **Settings**",
+    settingItem: "* **{name}**: {value} - {description}.",
+
+    // Live rounds
+    noTasks: "Can't start sprint planning without tasks. Please provide a tasklist with `@{bot} plan <tasklist>`.",
+    taskCancelled: "{icon.cancelled} No need to estimate the last task, we're skipping it for now.",
+    votingComplete: "{icon.complete} Voting complete. {aggregate} estimate: **{estimate}**{correction}",
+    correction: " (~{hours} hr(s) corrected by the team's past accuracy, x{factor})",
+    awaitingFinal: "{icon.waiting} Awaiting moderator to select final estimate.",
+    selectFinal: "{icon.question} Please select final estimate for task #{id}. {aggregate} was {estimate}. Cards: {cards}.",
+    finalPicked: "{icon.announcement} Moderator has picked final estimate of {estimate}.",
+    estimateNothing: "Sorry, you can't estimate nothing. Please select a tasklist to plan and get started.",
+    noCurrentTask: "There is no current task to set the estimate for, sorry!",
+    updating: "{icon.complete} Updating task **{title}** with an estimate of **{estimate}**{hours}.",
+    recording: "{icon.complete} Recording task **{title}** with an estimate of **{estimate}**{hours}.",
+    estimateHours: " ({hours} hr(s))",
+    commentFailed: "{icon.alert} I couldn't comment on task **{title}** ({error}), its notes are still in the report.",
+    writeFailed: "{icon.alert} I couldn't update task **{title}** ({error}), I'll try again at the end.",
+    nextTask: "{icon.announcement} Moving to next task (#{completed} of {total}, {pending} to go).",
+    noTaskToVote: "There's no task to vote on!",
+    voteChanged: "{icon.complete} Your vote has been changed to {estimate}.",
+    noTaskToAbstain: "There's no task to abstain from!",
+    abstained: "{icon.skip} Okay, you're sitting this task out.",
+    abstaining: "{icon.skip} {name} is abstaining from this task.",
+    noVotesToReveal: "There are no votes to reveal!",
+    noTaskToSkip: "There's no task to skip!",
+    skipWhich: "Please give the task to skip. Example: `skip #122412`",
+    skipping: "{icon.skip} Skipping task {task}. Removing it from the planning.",
+    noTaskToPass: "There's no task to pass!",
+    passing: "{icon.skip} Hold up, we'll complete this task later. Pushing task to end of the queue.",
+    timeUpClosing: "{icon.timer} Time's up! Closing the vote without {people}.",
+    timeUpWaiting: "{icon.timer} Time's up! Still waiting for {people}.",
+    timeUpNobody: "{icon.timer} Time's up! Nobody voted.",
+
+    // Voting in a round
+    task: "---\n{icon.task} Task #{id}: {task}",
+    votingPass: "**Voting pass #{number}**, the estimates were too far apart.",
+    estimateRequest: "Please input a time estimate e.g. {example}",
+    pickCard: "Please pick a card from the {deck} deck e.g. {example}",
+    estimateSubmitted: "{icon.complete} Thank you. Your estimate of {estimate} has been submitted.",
+    hasVoted: "{icon.voted} {name} has voted.",
+    roundClosed: "Voting on this task is closed.",
+    notVotingOnTask: "You're not voting on this task.",
+    noVotingToReveal: "There's no voting in progress to reveal.",
+    nothingToReveal: "Nobody has voted yet, there's nothing to reveal.",
+    reminder: "{icon.timer} Reminder: we're waiting for your estimate for task #{id}, {left} left to vote.",
+    timeLeftWarning: "{icon.timer} {left} left to vote! Still waiting for {people}.",
+    noTimeLeft: "no time",
+    revealedByModerator: "{icon.reveal} The moderator revealed the votes.",
+    revealedEveryone: "{icon.reveal} Everyone has voted, revealing the votes.",
+    stillDiverging: "{icon.warning} Estimates still diverge after {count} passes, over to the moderator.",
+    diverging: "{icon.diverged} The estimates are too far apart. @{lowest} ({low}) and @{highest} ({high}), please explain your estimates. Starting voting pass #{number}.",
+    resultPerson: "Person",
+    resultEstimate: "Estimate",
+    statisticsHeader: "| Mean | Median | Mode | Min | Max | Std dev | Consensus |",
+
+    // Async planning
+    alreadyStarted: "The planning has already started.",
+    asyncRunning: "The planning is async, voting is open until {deadline}.",
+    asyncRunningClosed: "The planning is async, voting is closed.",
+    asyncOpen: "{icon.announcement} Voting on the {count} tasks is open until **{deadline}** ({relative}). I've sent everyone the list of tasks, votes stay hidden until voting closes.",
+    ballotHeader: "{icon.announcement} Please vote on the tasks of **{name}** by **{deadline}** ({relative}), in any order:",
+    ballotHelp: "Send me `vote #<task> <estimate>` for each one, e.g. `vote #{id} {example}` ({cards}). You can change your votes until voting closes and `abstain #<task>` sits a task out.",
+    taskItem: "* Task #{id}: {task}",
+    asyncVoteSubmitted: "{icon.complete} Thank you. Your estimate of {estimate} for task #{id} has been submitted.",
+    asyncVoteChanged: "{icon.complete} Your vote for task #{id} has been changed to {estimate}.",
+    asyncAbstained: "{icon.skip} Okay, you're sitting task #{id} out.",
+    asyncVotingClosed: "Voting is closed, it's over to the moderator.",
+    notVoting: "You're not voting in this planning.",
+    notWaiting: "Task #{id} isn't waiting to be estimated.",
+    everyoneVoted: "{icon.complete} Everyone has voted on every task.",
+    digest: "{icon.timer} Reminder: voting closes in {left}. You haven't voted on:",
+    digestRoom: "{icon.timer} Voting closes in {left}. {progress}",
+    asyncProgress: "{votes} of {total} votes are in.",
+    asyncProgressWaiting: "{votes} of {total} votes are in, waiting for {people}.",
+    asyncMissing: "@{handle} ({count} task(s))",
+    noAsyncVoting: "There's no async voting in progress to close.",
+    votingClosed: "{icon.complete} Voting on **{name}** is closed. Over to @{moderator} to review the results.",
+    asyncResultsHeader: "| Task | Votes | Suggested | Min | Max | Consensus |",
+    asyncDiverged: "{icon.diverged} The votes are more than {threshold} times apart, worth a discussion before accepting.",
+    acceptHelp: "{icon.help} @{moderator}, use `@{bot} accept` to accept every suggested estimate (tasks nobody voted on are skipped), `@{bot} accept #<task> #<task>` for some of them, `@{bot} estimate #<task> <estimate>` to set one yourself or `@{bot} skip #<task>`.",
+    nothingToAccept: "There's nothing to accept, suggested estimates are accepted once async voting closes.",
+    nobodyVoted: "Nobody voted on {tasks}, please set the estimate yourself or skip it.",
+    skippingUnvoted: "{icon.skip} Nobody voted on {tasks}, skipping them.",
+    deadlineInvalid: "Please give the deadline as a time from now (e.g. `2 days`) or a date and time in UTC (e.g. `2026-10-21 17:00`).",
+    deadlinePast: "The deadline has to be in the future.",
+    deadlineTooFar: "The deadline can be at most {days} days away.",
+
+    // Writing estimates back
+    reviewEstimates: "{icon.announcement} All the tasks have been estimated. Please review the estimates before they're written to {source}:",
+    reviewItem: "* {task} - **{estimate}**",
+    reviewItemFailed: "* {task} - **{estimate}** (failed: {error})",
+    reviewHelp: "{icon.help} @{moderator}, use `@{bot} commit` to write them or `@{bot} undo` / `@{bot} revisit <task #>` to vote again.",
+    cantCommit: "There's nothing to commit, the estimates can't be written back to these tasks.",
+    dryRunCommit: "This is a dry run, nothing gets written. Use `set writeback batched` first to commit the estimates.",
+    allWritten: "All the estimates have been written already.",
+    writing: "{icon.waiting} Writing {count} estimate(s) to {source}...",
+    writeBackSummary: "{icon.complete} Updated {written} of {total} task(s) in {source}.",
+    notUpdated: "{icon.alert} Not updated: {tasks}.",
+    notEstimated: "not estimated",
+
+    // Undo and revisit
+    noPlanningToUndo: "There's no planning in progress to undo anything in.",
+    nothingToUndo: "No tasks have been estimated yet, there's nothing to undo.",
+    undone: "{icon.announcement} Undid the estimate of **{estimate}** for task {task}. It's up next for a fresh vote.",
+    undoneReverted: "{icon.announcement} Undid the estimate of **{estimate}** for task {task}, it's back to {previous}. It's up next for a fresh vote.",
+    noEstimate: "no estimate",
+    hours: "{hours} hr(s)",
+    revertFailed: "I couldn't put back the previous estimate of task **{title}** ({error}), it's still {estimate}. Please try again.",
+    noPlanningToRevisit: "There's no planning in progress to revisit a task in.",
+    notRevisitable: "Task #{id} hasn't been estimated or skipped in this planning.",
+    revisited: "{icon.announcement} Task {task} is back at the end of the queue for a fresh vote.",
+
+    // Notes
+    noTaskToNote: "There's no task being planned to add a note to.",
+    provideNote: "Please give the note. Example: `{example}`",
+    noteAdded: "{icon.note} Added the note to task #{id}.",
+    commentEstimate: "Estimated at {estimate}{hours} in the sprint planning poker of {name}, set by {by}.",
+    commentVotes: "Votes: {votes}",
+    commentNoVotes: "Nobody voted on it.",
+    commentNotes: "Notes:",
+    commentNote: "- {name}: {text}",
+    commentReverted: "The estimate of {estimate} from the sprint planning poker of {name} was undone, the task is back to {previous} until it's estimated again.",
+
+    // Capacity
+    noCapacity: "{icon.capacity} No capacity has been set for this sprint. Example: `capacity 120 focus 0.8`",
+    capacityOff: "{icon.capacity} Okay, I won't track the capacity of the sprint.",
+    capacitySet: "{icon.capacity} The sprint's capacity is {capacity}. {status}",
+    capacityLeft: "{icon.capacity} Planned **{planned} of {total} hr(s)** capacity, {left} hr(s) left.",
+    capacityOver: "{icon.capacity} Planned **{planned} of {total} hr(s)** capacity, **{over} hr(s) over**.",
+    overCapacity: "{icon.alert} The plan no longer fits the sprint, it's **{hours} hr(s)** over capacity.",
+
+    // The end
+    noPlanningToStop: "There's no planning in progress to stop.",
+    stopped: "{icon.alert} The moderator stopped the planning after {duration}, {count} task(s) weren't estimated.",
+    complete: "{icon.celebrate} Sprint planning complete. It only took {duration}.",
+    summaryItem: "{number}. {task} - **{estimate}**",
+    reportHelp: "{icon.help} For the full report, use `@{bot} report [md|csv|json]`.",
+    cancelled: "{icon.alert} This planning has been cancelled, {reason}. Estimates already made have been kept.",
+    reasonIdle: "nobody has used it for {idle}",
+    reasonCancelledBy: "@{handle} cancelled it",
+
+    // Restarts
+    back: "{icon.alert} I'm back! Sorry about that, the planning is right where we left it.",
+    backNamed: "{icon.alert} I'm back! Sorry about that, the planning of **{name}** is right where we left it.",
+    resuming: "{icon.alert} I'm back! Sorry about that, resuming the planning of **{name}** at task #{number} of {total}.",
+    backAsyncClosed: "{icon.alert} I'm back! Sorry about that, the results of **{name}** are still waiting for the moderator.",
+    backAsyncMissed: "{icon.alert} I'm back! Sorry about that, voting on **{name}** closed while I was away.",
+    backAsyncOpen: "{icon.alert} I'm back! Sorry about that, voting on **{name}** is open until {deadline}.",
+
+    // Status
+    statusModerator: "{icon.moderator} {name} is the moderator.",
+    statusRoles: "{icon.observer} Voters: {voters}. Observers: {observers}.",
+    statusEstimated: "{icon.complete} {completed} of {total} tasks estimated.",
+    statusAsyncOpen: "{icon.timer} Voting is open until {deadline} ({relative}). {progress}",
+    statusAsyncClosed: "{icon.waiting} Voting is closed, {count} task(s) are waiting for the moderator.",
+    statusCurrent: "{icon.announcement} Current task: {task}",
+    statusEstimating: "{icon.waiting} {people} are still estimating.",
+    statusTimeLeft: "{icon.timer} {left} left to vote.",
+    statusComplete: "{icon.celebrate} Sprint planning complete.",
+    nobody: "nobody",
+    summary: "* Room {room}: **{name}**, moderated by @{moderator}, {progress}, last active {active}.",
+    summaryUnnamed: "nothing planned yet",
+    summaryProgress: "{completed} of {total} task(s) estimated",
+    summaryNotStarted: "not started",
+
+    help: [
+        "{icon.help} **Sprint Planning Poker Help**",
+        "* *\"@{bot} plan <tasklist url>\"* to set the tasklist to plan (only the moderator). Links to or pasted CSV and JSON files of tasks or issues work too. Several links are planned together and `--unestimated`, `--tag <tag>`, `--assignee @person`, `--subtasks` and `--order priority|due` pick the tasks.",
+        "* *\"@{bot} start\"* to begin the planning (only the moderator). *\"@{bot} start async <deadline>\"* opens every task for voting until a deadline, e.g. `2 days` or `2026-10-21 17:00` (UTC), for teams that can't plan together.",
+        "* *\"@{bot} skip [task #]\"* to skip planning a task (only the moderator).",
+        "* *\"@{bot} pass\"* to push the task to the end of the planning queue (only the moderator).",
+        "* *\"@{bot} deck <fibonacci|points|tshirt|hours|custom cards>\"* to pick the deck to estimate with (only the moderator).",
+        "* *\"@{bot} estimate <card>\"* to manually set the estimate (only the moderator, @{moderator}, can do this).",
+        "* *\"@{bot} vote <card>\"* to publicly vote your estimate during a round, *\"@{bot} vote #<task> <card>\"* in an async planning.",
+        "* *\"@{bot} reveal\"* to reveal the votes before everyone has voted, or close an async planning's voting early (only the moderator).",
+        "* *\"@{bot} accept [task #...]\"* to accept the suggested estimates once an async planning's voting has closed (only the moderator).",
+        "* *\"@{bot} set <setting> <value>\"* to change a setting e.g. the re-vote threshold (only the moderator). *\"@{bot} set\"* lists them.",
+        "* *\"@{bot} language <language>\"* to change the language I speak in this planning (only the moderator). *\"@{bot} language\"* lists them.",
+        "* *\"@{bot} note <text>\"* to add a note to the current task, *\"@{bot} note #<task> <text>\"* in an async planning. The notes are added to the task with its estimate and votes.",
+        "* *\"@{bot} report [md|csv|json]\"* to get a report of the planning so far.",
+        "* *\"@{bot} accuracy <tasklist url>\"* to compare past estimates with the time logged on a tasklist.",
+        "* *\"@{bot} status\"* to see how the planning is going and who hasn't voted yet.",
+        "* *\"@{bot} undo\"* to revert the last estimate and vote on the task again (only the moderator).",
+        "* *\"@{bot} revisit <task #>\"* to put an estimated or skipped task back in the queue (only the moderator).",
+        "* *\"@{bot} observe [@person]\"* to only watch the planning without voting, *\"@{bot} voter [@person]\"* to vote again (only the moderator can change someone else).",
+        "* *\"@{bot} moderator @person\"* to hand the moderation over to someone else (only the moderator).",
+        "* *\"@{bot} commit\"* to write the reviewed estimates back when the `writeback` setting is `batched` (only the moderator).",
+        "* *\"@{bot} queue [<task #> <position>]\"* to see the tasks waiting or move one to another position (only the moderator can move them).",
+        "* *\"@{bot} capacity <hours | @person hours...> [focus 0.8]\"* to set how many hours fit in the sprint and track the plan against it (only the moderator). *\"@{bot} capacity\"* shows what's left.",
+        "* *\"@{bot} stop\"* to end the planning early with a summary of what was estimated (only the moderator).",
+        "* *Most commands can also be sent to me in a private message, say \"help\" there to see them.*",
+        "* *To add or remove people from the sprint planning, use the people tab.*"
+    ].join("\n"),
+
+    directHelp: "{icon.help} **Commands you can send me here**",
+    directHelpVote: "* *\"vote <card>\"* to vote on the current task, or change your vote before the votes are revealed.",
+    directHelpAbstain: "* *\"abstain\"* to sit the current task out.",
+    directHelpVoteAsync: "* *\"vote #<task> <card>\"* to vote on a task, or change your vote before voting closes.",
+    directHelpAbstainAsync: "* *\"abstain #<task>\"* to sit a task out.",
+    directHelpStatus: "* *\"status\"* to see how the planning is going.",
+    directHelpHelp: "* *\"help\"* to show this message.",
+    directHelpEstimate: "* *\"estimate <card>\"* to set the estimate for the current task.",
+    directHelpEstimateAsync: "* *\"estimate #<task> <card>\"* to set the estimate for a task.",
+    directHelpSkip: "* *\"skip\"* to skip the current task.",
+    directHelpSkipAsync: "* *\"skip #<task>\"* to skip a task.",
+    directHelpPass: "* *\"pass\"* to push the current task to the end of the queue.",
+    directHelpStop: "* *\"stop\"* to end the planning early with a summary of what was estimated."
+};
@@ -0,0 +1,117 @@
+import { mapValues } from "lodash";
+import Messages from "./Messages";
+
+/**
+ * Session settings the moderator can change with `@bot set <name> <value>`.
+ * What they do is described in the messages, under `settings`, and what a
+ * number must be under `invalidSettings`.
+ */
+export const SETTINGS = {
+    threshold: {
+        default: 3,
+        parse: number(value => value > 1)
+    },
+
+    passes: {
+        default: 2,
+        parse: number(value => value >= 1 && value % 1 === 0)
+    },
+
+    timelimit: {
+        default: 0,
+        parse: number(value => value >= 0)
+    },
+
+    reminder: {
+        default: 2,
+        parse: number(value => value >= 0)
+    },
+
+    timeout: {
+        default: "close",
+        parse: oneOf("close", "pass")
+    },
+
+    writeback: {
+        default: "immediate",
+        parse: oneOf("immediate", "batched", "dry-run")
+    },
+
+    aggregate: {
+        default: "mean",
+        parse: oneOf("mean", "median", "mode")
+    },
+
+    snap: {
+        default: "off",
+        parse: oneOf("on", "off")
+    },
+
+    correction: {
+        default: "on",
+        parse: oneOf("on", "off")
+    },
+
+    digest: {
+        default: 4,
+        parse: number(value => value >= 0)
+    },
+
+    workday: {
+        default: 8,
+        parse: number(value => value > 0 && value <= 24)
+    },
+
+    comment: {
+        default: "on",
+        parse: oneOf("on", "off")
+    },
+
+    capture: {
+        default: "off",
+        parse: oneOf("on", "off")
+    }
+};
+
+export function defaultSettings() {
+    return mapValues(SETTINGS, setting => setting.default);
+}
+
+// Errors are worded with `messages`, in the session's language
+export function parseSetting(name, input, messages = new Messages()) {
+    const setting = SETTINGS[name];
+
+    if(!setting) {
+        throw new Error(messages.format("unknownSetting", { name, settings: Object.keys(SETTINGS).join(", ") }));
+    }
+
+    if(!input) {
+        throw new Error(messages.format("provideSettingValue", { name }));
+    }
+
+    return setting.parse(input, name, messages);
+}
+
+function number(valid) {
+    return (input, name, messages) => {
+        const value = parseFloat(input);
+
+        if(isNaN(value) || !valid(value)) {
+            throw new Error(messages.format(`invalidSettings.${name}`));
+        }
+
+        return value;
+    };
+}
+
+function oneOf(...values) {
+    return (input, name, messages) => {
+        const value = input.toLowerCase();
+
+        if(!values.includes(value)) {
+            throw new Error(messages.format("pickOneOf", { values: values.join(", ") }));
+        }
+
+        return value;
+    };
+}
@@ -0,0 +1,69 @@
+import Promise from "bluebird";
+import { flatten, uniq } from "lodash";
+import TaskSource from "./TaskSource";
+
+/**
+ * Several sources planned in one session, e.g. a few tasklists. Every task
+ * remembers the index of the source it came from to write its estimate back,
+ * so tasks from a source that can write back still do when planned together
+ * with a file.
+ */
+export default class CompositeSource extends TaskSource {
+    constructor(sources) {
+        super("multiple", formatName(sources));
+        this.sources = sources;
+    }
+
+    get canWriteBack() {
+        return this.sources.some(source => source.canWriteBack);
+    }
+
+    get canComment() {
+        return this.sources.some(source => source.canComment);
+    }
+
+    canWriteBackTo(task) {
+        return this.sources[task.source].canWriteBackTo(task);
+    }
+
+    canCommentOn(task) {
+        return this.sources[task.source].canCommentOn(task);
+    }
+
+    get keys() {
+        return flatten(this.sources.map(source => source.keys));
+    }
+
+    get installation() {
+        const installations = uniq(this.sources.map(source => source.installation));
+        return installations.length === 1 ? installations[0] : undefined;
+    }
+
+    async load(options) {
+        const tasks = await Promise.map(this.sources, source => source.load(options));
+
+        // The sources only know their names once they're loaded
+        this.name = formatName(this.sources);
+
+        return flatten(tasks.map((tasks, source) => tasks.map(task => ({ ...task, source }))));
+    }
+
+    async estimate(task, hours, minutes) {
+        await this.sources[task.source].estimate(task, hours, minutes);
+    }
+
+    async comment(task, body) {
+        await this.sources[task.source].comment(task, body);
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            sources: this.sources.map(source => source.serialize())
+        };
+    }
+}
+
+function formatName(sources) {
+    return sources.map(source => source.name).join(" + ");
+}
@@ -0,0 +1,110 @@
+import TaskSource from "./TaskSource";
+import Messages from "../Messages";
+
+const TITLE_COLUMNS = ["title", "name", "task", "summary", "content"];
+const LINK_COLUMNS = ["link", "url"];
+
+/**
+ * Tasks from a CSV or JSON file, either pasted into the room or linked to as an
+ * attachment. CSV files need a header row with a title column (`title`, `name`,
+ * `task` or `summary`) and optionally `id`, `link` and `estimate` (in hours)
+ * columns. JSON files are an array of objects with the same fields. What's wrong
+ * with a file is worded by `messages`.
+ */
+export default class FileSource extends TaskSource {
+    constructor(name, tasks) {
+        super("file", name);
+        this.tasks = tasks;
+    }
+
+    async load() {
+        return this.tasks;
+    }
+
+    static fromCSV(name, text, messages = new Messages()) {
+        const [header, ...rows] = parseCSV(text);
+
+        if(!header || !rows.length) {
+            throw new Error(messages.format("csvWithoutTasks"));
+        }
+
+        const columns = header.map(column => column.trim().toLowerCase());
+
+        return FileSource.fromRecords(name, rows.map(row => {
+            return columns.reduce((record, column, i) => ({ ...record, [column]: row[i] }), {});
+        }), messages);
+    }
+
+    static fromRecords(name, records, messages = new Messages()) {
+        return new FileSource(name, records.map((record, i) => {
+            const title = pick(record, TITLE_COLUMNS);
+
+            if(!title) {
+                throw new Error(messages.format("taskWithoutTitle", { number: i + 1 }));
+            }
+
+            const estimate = parseFloat(record.estimate);
+
+            return {
+                id: record.id || i + 1,
+                title: title.toString().trim(),
+                link: pick(record, LINK_COLUMNS),
+                estimate: isNaN(estimate) ? undefined : Math.round(estimate * 60)
+            };
+        }));
+    }
+
+    static restore(data) {
+        // The tasks themselves are restored with the rounds
+        return new FileSource(data.name, []);
+    }
+}
+
+function pick(record, columns) {
+    const column = columns.find(column => record[column]);
+    return column ? record[column] : undefined;
+}
+
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for(let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if(quoted) {
+            if(char === "\"" && text[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if(char === "\"") {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if(char === "\"") {
+            quoted = true;
+        } else if(char === ",") {
+            row.push(field);
+            field = "";
+        } else if(char === "\n" || char === "\r") {
+            if(char === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    rows.push(row);
+
+    // Drop blank lines
+    return rows.filter(row => row.some(field => field.trim()));
+}
@@ -0,0 +1,65 @@
+import TaskSource from "./TaskSource";
+import Messages from "../Messages";
+
+/**
+ * Tasks from an issue tracker's JSON export. The generic shape is
+ * `{ "issues": [{ "id", "title", "url", "estimate" }] }` (estimate in hours) or
+ * just the array of issues. GitHub issues (`number`, `title`, `html_url`) and
+ * Jira exports (`key`, `fields.summary`, `fields.timeoriginalestimate` in
+ * seconds) are understood as well, their labels become the tasks' tags.
+ */
+export default class IssueTrackerSource extends TaskSource {
+    constructor(name, tasks) {
+        super("issues", name);
+        this.tasks = tasks;
+    }
+
+    async load() {
+        return this.tasks;
+    }
+
+    static matches(json) {
+        if(json && Array.isArray(json.issues)) {
+            return true;
+        }
+
+        // A bare array needs to look like issues rather than plain tasks
+        return Array.isArray(json) && json.length > 0 && json.every(issue => {
+            return issue && (issue.key || issue.number || issue.html_url || issue.fields);
+        });
+    }
+
+    static fromJSON(name, json, messages = new Messages()) {
+        const issues = Array.isArray(json) ? json : json.issues;
+
+        return new IssueTrackerSource(json.name || name, issues.map((issue, i) => {
+            const fields = issue.fields || {};
+            const title = issue.title || issue.summary || fields.summary;
+
+            if(!title) {
+                throw new Error(messages.format("issueWithoutTitle", { number: i + 1 }));
+            }
+
+            return {
+                id: issue.key || issue.number || issue.id || i + 1,
+                title,
+                link: issue.html_url || issue.url,
+                estimate: parseEstimate(issue, fields),
+                tags: (issue.labels || fields.labels || []).map(label => label.name || label)
+            };
+        }));
+    }
+
+    static restore(data) {
+        return new IssueTrackerSource(data.name, []);
+    }
+}
+
+function parseEstimate(issue, fields) {
+    if(typeof fields.timeoriginalestimate === "number") {
+        return Math.round(fields.timeoriginalestimate / 60);
+    }
+
+    const estimate = parseFloat(issue.estimate);
+    return isNaN(estimate) ? undefined : Math.round(estimate * 60);
+}
@@ -0,0 +1,54 @@
+/**
+ * Where the tasks of a planning come from. A source loads the tasks to turn
+ * into rounds and, if it can, writes the final estimates back and comments
+ * on the tasks with a summary of their planning.
+ *
+ * Tasks are plain objects with an `id`, `title`, `link` (optional) and the
+ * current `estimate` in minutes (optional). They can also have `tags`, the ids
+ * of their `assignees`, a `priority`, a `due` date and a `parentId` (for
+ * subtasks) to filter and order them by. Sources with `keys` identify where
+ * the tasks live so two sessions don't plan the same tasks at once.
+ */
+export default class TaskSource {
+    constructor(type, name) {
+        this.type = type;
+        this.name = name;
+    }
+
+    get canWriteBack() {
+        return false;
+    }
+
+    get canComment() {
+        return false;
+    }
+
+    // Whether the estimate of `task` in particular can be written back
+    canWriteBackTo(task) {
+        return this.canWriteBack;
+    }
+
+    canCommentOn(task) {
+        return this.canComment;
+    }
+
+    get keys() {
+        return [];
+    }
+
+    async load() {
+        throw new Error(`The ${this.type} source doesn't know how to load tasks.`);
+    }
+
+    async estimate(task, hours, minutes) {
+        // Sources that can't write back simply record the estimate in the planning
+    }
+
+    async comment(task, body) {
+        // Sources without comments keep the notes in the planning's report
+    }
+
+    serialize() {
+        return { type: this.type, name: this.name };
+    }
+}
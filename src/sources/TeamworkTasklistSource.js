@@ -0,0 +1,99 @@
+import qs from "qs";
+import moment from "moment";
+import TaskSource from "./TaskSource";
+
+// https://1486461376533.teamwork.com/index.cfm#tasklists/434312
+const TASKLIST_URL = /https?:\/\/([a-zA-Z0-9_\-]+)\.teamwork.com\/index\.cfm#tasklists\/(\d+)/;
+
+export default class TeamworkTasklistSource extends TaskSource {
+    constructor(api, installation, tasklistId, tasklist) {
+        super("teamwork", tasklist ? tasklist.name : `tasklist #${tasklistId}`);
+
+        this.api = api;
+        this.installation = installation;
+        this.tasklistId = tasklistId;
+        this.tasklist = tasklist;
+    }
+
+    get canWriteBack() {
+        return true;
+    }
+
+    get canComment() {
+        return true;
+    }
+
+    get keys() {
+        return [`${this.installation}/tasklists/${this.tasklistId}`];
+    }
+
+    async load({ includeCompleted = false } = {}) {
+        // Get the tasks. Once we get the whole API together in one module, this will be awesome
+        this.tasklist = (await this.api.request(`/tasklists/${this.tasklistId}.json`))["todo-list"];
+        this.name = this.tasklist.name;
+
+        const query = includeCompleted ? "?includeCompletedTasks=true" : "";
+        const tasks = (await this.api.request(`/tasklists/${this.tasklistId}/tasks.json${query}`))["todo-items"] || [];
+
+        return tasks.map(task => ({
+            id: task.id,
+            installation: this.installation,
+            estimate: task["estimated-minutes"],
+            title: task.content,
+            link: `https://${this.installation}.teamwork.com/index.cfm#tasks/${task.id}`,
+            tags: (task.tags || []).map(tag => tag.name),
+            assignees: String(task["responsible-party-ids"] || "").split(",").filter(id => id).map(id => parseInt(id)),
+            priority: task.priority || null,
+            due: task["due-date"] ? moment(task["due-date"], "YYYYMMDD").format("YYYY-MM-DD") : null,
+            parentId: parseInt(task.parentTaskId) || null
+        }));
+    }
+
+    async estimate(task, hours, minutes) {
+        await this.api.request("/?action=invoke.tasks.OnSetTaskEstimates()", { // I know about `query`, the API complains >.>
+            method: "POST",
+            raw: true,
+            headers: {
+                "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+                "twProjectsVer": "2.0"
+            },
+            body: qs.stringify({
+                projectId: this.tasklist.projectId,
+                taskId: task.id,
+                taskEstimateHours: hours,
+                taskEstimateMins: minutes
+            })
+        });
+    }
+
+    async comment(task, body) {
+        await this.api.request(`/tasks/${task.id}/comments.json`, {
+            method: "POST",
+            raw: true,
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ comment: { body, "content-type": "text", isprivate: false } })
+        });
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            installation: this.installation,
+            tasklistId: this.tasklistId,
+            tasklist: this.tasklist
+        };
+    }
+
+    static matches(input) {
+        return TASKLIST_URL.test(input);
+    }
+
+    static fromInput(api, input) {
+        const [, installation, tasklistId] = input.match(TASKLIST_URL);
+        return new TeamworkTasklistSource(api, installation, parseInt(tasklistId));
+    }
+
+    static restore(api, data) {
+        return new TeamworkTasklistSource(api, data.installation, data.tasklistId, data.tasklist);
+    }
+}
@@ -0,0 +1,107 @@
+import { sortBy } from "lodash";
+import Messages from "../Messages";
+
+const PRIORITIES = ["high", "medium", "low"];
+const ORDERS = ["priority", "due"];
+
+/**
+ * Split the `plan` argument into what to plan and the options after it:
+ * `--unestimated`, `--tag <tag>`, `--assignee @handle` (both can be repeated),
+ * `--subtasks` and `--order priority|due`. Pasted tasks are left alone.
+ * Errors are worded with `messages`.
+ */
+export function parsePlanArgs(args, messages = new Messages()) {
+    const options = defaultPlanOptions();
+
+    if(!args.match(/^https?:\/\//)) {
+        return { input: args, options };
+    }
+
+    const [input, ...flags] = args.split(/\s+(?=--)/);
+
+    flags.forEach(flag => {
+        const [name, ...value] = flag.trim().split(/\s+/);
+        const argument = value.join(" ");
+
+        switch(name) {
+            case "--unestimated":
+                options.unestimated = true;
+                break;
+
+            case "--subtasks":
+                options.subtasks = true;
+                break;
+
+            case "--tag":
+                options.tags.push(required(name, argument, messages).toLowerCase());
+                break;
+
+            case "--assignee":
+                options.assignees.push(required(name, argument, messages).replace(/^@/, ""));
+                break;
+
+            case "--order":
+                if(!ORDERS.includes(argument)) {
+                    throw new Error(messages.format("invalidOrder", { first: ORDERS[0], second: ORDERS[1] }));
+                }
+
+                options.order = argument;
+                break;
+
+            default:
+                throw new Error(messages.format("unknownPlanOption", { name }));
+        }
+    });
+
+    return { input: input.trim(), options };
+}
+
+export function defaultPlanOptions() {
+    return { unestimated: false, subtasks: false, tags: [], assignees: [], order: null };
+}
+
+/**
+ * Filter and order the tasks loaded from a source. `assignees` are the ids of
+ * the people asked for with `--assignee`.
+ */
+export function filterTasks(tasks, options, assignees = []) {
+    const filtered = tasks.filter(task => {
+        if(!options.subtasks && task.parentId) {
+            return false;
+        }
+
+        if(options.unestimated && task.estimate) {
+            return false;
+        }
+
+        if(options.tags.length && !(task.tags || []).some(tag => options.tags.includes(tag.toLowerCase()))) {
+            return false;
+        }
+
+        if(assignees.length && !(task.assignees || []).some(id => assignees.includes(id))) {
+            return false;
+        }
+
+        return true;
+    });
+
+    switch(options.order) {
+        case "priority":
+            return sortBy(filtered, task => task.priority && PRIORITIES.includes(task.priority) ? PRIORITIES.indexOf(task.priority) : PRIORITIES.length);
+
+        case "due":
+            // Tasks without a due date go last
+            return sortBy(filtered, task => task.due || "9999-99-99");
+
+        default:
+            return filtered;
+    }
+}
+
+function required(name, value, messages) {
+    if(!value) {
+        throw new Error(messages.format("providePlanOptionValue", { name }));
+    }
+
+    return value;
+}
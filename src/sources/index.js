@@ -0,0 +1,177 @@
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import { parse as parseURL, resolve as resolveURL } from "url";
+import Promise from "bluebird";
+import TeamworkTasklistSource from "./TeamworkTasklistSource";
+import FileSource from "./FileSource";
+import IssueTrackerSource from "./IssueTrackerSource";
+import CompositeSource from "./CompositeSource";
+import Messages from "../Messages";
+
+export { TeamworkTasklistSource, FileSource, IssueTrackerSource, CompositeSource };
+export { parsePlanArgs, defaultPlanOptions, filterTasks } from "./filters";
+
+// Attachment links usually redirect to the file, but not forever
+const MAX_REDIRECTS = 5;
+const FETCH_TIMEOUT = 10000;
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Pick the task source for the `plan` argument: a Teamwork tasklist URL, a link
+ * to a CSV or JSON file (e.g. an attachment) or CSV or JSON pasted into the room.
+ * Several links separated by spaces are planned together. Files are only
+ * downloaded from public hosts unless `allowPrivateHosts` is set, and have
+ * `timeout` ms to download in full. Errors are worded by `messages`.
+ */
+export async function createSource(api, input, options = {}) {
+    const { messages = new Messages() } = options;
+
+    input = stripCodeFence(input.trim());
+
+    const links = input.split(/\s+/);
+
+    if(links.length > 1 && links.every(link => link.match(/^https?:\/\//))) {
+        return new CompositeSource(await Promise.map(links, link => createSource(api, link, options)));
+    }
+
+    if(TeamworkTasklistSource.matches(input)) {
+        return TeamworkTasklistSource.fromInput(api, input);
+    }
+
+    if(input.match(/^https?:\/\/\S+$/)) {
+        const name = decodeURIComponent(input.split(/[?#]/)[0].split("/").pop()) || "file";
+        return fromText(name, await fetchText(input, { allowPrivateHosts: false, timeout: FETCH_TIMEOUT, ...options, messages }), messages);
+    }
+
+    return fromText("pasted tasks", input, messages);
+}
+
+export function restoreSource(api, data) {
+    switch(data.type) {
+        case "teamwork":
+            return TeamworkTasklistSource.restore(api, data);
+
+        case "issues":
+            return IssueTrackerSource.restore(data);
+
+        case "multiple":
+            return new CompositeSource(data.sources.map(source => restoreSource(api, source)));
+
+        default:
+            return FileSource.restore(data);
+    }
+}
+
+function fromText(name, text, messages) {
+    let json;
+
+    try {
+        json = JSON.parse(text);
+    } catch(err) {
+        if(text.split("\n").length < 2 || !text.includes(",")) {
+            throw new Error(messages.format("unknownSource"));
+        }
+
+        return FileSource.fromCSV(name, text, messages);
+    }
+
+    if(IssueTrackerSource.matches(json)) {
+        return IssueTrackerSource.fromJSON(name, json, messages);
+    }
+
+    if(!Array.isArray(json)) {
+        throw new Error(messages.format("jsonNotList"));
+    }
+
+    return FileSource.fromRecords(name, json, messages);
+}
+
+function stripCodeFence(input) {
+    return input.replace(/^```[a-z]*\n?/i, "").replace(/\n?```$/, "").trim();
+}
+
+// Redirects count against the same `timeout` as the first request
+function fetchText(url, options, redirects = MAX_REDIRECTS, deadline = Date.now() + options.timeout) {
+    let timer;
+
+    return new Promise((resolve, reject) => {
+        const { protocol, hostname } = parseURL(url);
+        const fail = (reason, params) => new Error(options.messages.format("downloadFailed", {
+            url,
+            reason: options.messages.format(`downloadReasons.${reason}`, params)
+        }));
+
+        if(protocol !== "http:" && protocol !== "https:") {
+            return reject(fail("scheme"));
+        }
+
+        // The bot shouldn't be a way into the network it runs on, e.g. its own dashboard
+        if(!options.allowPrivateHosts && net.isIP(hostname) && isPrivateAddress(hostname)) {
+            return reject(fail("privateHost"));
+        }
+
+        const lookup = (host, lookupOptions, callback) => dns.lookup(host, lookupOptions, (err, address, family) => {
+            const addresses = Array.isArray(address) ? address : [{ address }];
+
+            if(!err && !options.allowPrivateHosts && addresses.some(entry => isPrivateAddress(entry.address))) {
+                return callback(fail("privateHost"));
+            }
+
+            callback(err, address, family);
+        });
+
+        const req = (protocol === "https:" ? https : http).get(url, { lookup }, res => {
+            if(res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+
+                if(redirects <= 0) {
+                    return reject(fail("redirects"));
+                }
+
+                return resolve(fetchText(resolveURL(url, res.headers.location), options, redirects - 1, deadline));
+            }
+
+            if(res.statusCode >= 300) {
+                res.resume();
+                return reject(fail("status", { status: res.statusCode }));
+            }
+
+            const chunks = [];
+            let size = 0;
+
+            res.on("data", chunk => {
+                chunks.push(chunk);
+                size += chunk.length;
+
+                if(size > MAX_FILE_SIZE) {
+                    req.abort();
+                    reject(fail("size", { size: MAX_FILE_SIZE / 1024 / 1024 }));
+                }
+            });
+            res.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+        });
+
+        // A server trickling the file a byte at a time doesn't get to keep the download open
+        timer = setTimeout(() => {
+            req.abort();
+            reject(fail("timeout"));
+        }, Math.max(deadline - Date.now(), 0));
+        req.on("error", reject);
+    }).finally(() => clearTimeout(timer));
+}
+
+// Loopback, private, link-local and unspecified addresses, IPv4 also when mapped to IPv6
+function isPrivateAddress(address) {
+    const ip = address.replace(/^::ffff:/i, "");
+
+    if(net.isIPv4(ip)) {
+        const [a, b] = ip.split(".").map(Number);
+
+        return a === 0 || a === 10 || a === 127 || (a === 100 && b >= 64 && b < 128) ||
+            (a === 169 && b === 254) || (a === 172 && b >= 16 && b < 32) || (a === 192 && b === 168);
+    }
+
+    return ip === "::" || ip === "::1" || /^f[cd]/i.test(ip) || /^fe[89ab]/i.test(ip);
+}
@@ -0,0 +1,36 @@
+import { countBy, meanBy, sortBy, max, values } from "lodash";
+
+/**
+ * Summary statistics of a list of numbers. The `mode` is null when no single
+ * number was picked the most and `consensus` is 1 minus the coefficient of
+ * variation, from 0 (all over the place) to 1 (everyone agrees).
+ */
+export default function summarize(numbers) {
+    if(!numbers.length) {
+        return null;
+    }
+
+    const sorted = sortBy(numbers);
+    const middle = Math.floor(sorted.length / 2);
+    const mean = meanBy(numbers);
+    const stddev = Math.sqrt(meanBy(numbers, number => Math.pow(number - mean, 2)));
+
+    const counts = countBy(numbers);
+    const most = max(values(counts));
+    const modes = Object.keys(counts).filter(number => counts[number] === most);
+
+    return {
+        mean,
+        median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+        mode: modes.length === 1 ? parseFloat(modes[0]) : null,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        stddev,
+        consensus: mean > 0 ? Math.max(0, 1 - stddev / mean) : 1
+    };
+}
+
+// Round to two decimals, e.g. hours for display
+export function round(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,82 @@
+import Promise from "bluebird";
+import qs from "qs";
+
+/**
+ * A fake Teamwork Projects API holding tasklists in memory, for running the
+ * bot offline. Tasklists are `{ id, name, projectId, tasks: [{ id, content,
+ * "estimated-minutes", completed, "time-entries": [{ hours, minutes }] }] }`,
+ * comments posted on a task are kept in its `comments` and every request made
+ * is kept in `requests`.
+ */
+export default class MemoryProjectsAPI {
+    constructor({ tasklists = [] } = {}) {
+        this.tasklists = tasklists;
+        this.requests = [];
+    }
+
+    request(path, options = {}) {
+        return Promise.try(() => {
+            const method = options.method || "GET";
+            const query = qs.parse(path.split("?")[1] || "");
+            this.requests.push({ method, path, body: options.body });
+
+            // Actions are routed by their query string, everything else by path
+            if(!path.startsWith("/?")) {
+                path = path.split("?")[0];
+            }
+
+            if(method === "GET" && path.match(/^\/tasklists\/(\d+)\.json$/)) {
+                const { tasks, ...tasklist } = this.getTasklist(RegExp.$1);
+                return { "todo-list": tasklist };
+            }
+
+            if(method === "GET" && path.match(/^\/tasklists\/(\d+)\/tasks\.json$/)) {
+                const tasks = this.getTasklist(RegExp.$1).tasks;
+                return { "todo-items": query.includeCompletedTasks ? tasks : tasks.filter(task => !task.completed) };
+            }
+
+            if(method === "GET" && path.match(/^\/tasks\/(\d+)\/time_entries\.json$/)) {
+                return { "time-entries": this.getTask(RegExp.$1)["time-entries"] || [] };
+            }
+
+            if(method === "POST" && path === "/?action=invoke.tasks.OnSetTaskEstimates()") {
+                const { taskId, taskEstimateHours, taskEstimateMins } = qs.parse(options.body);
+                const task = this.getTask(taskId);
+
+                task["estimated-minutes"] = parseInt(taskEstimateHours) * 60 + parseInt(taskEstimateMins);
+                return "";
+            }
+
+            if(method === "POST" && path.match(/^\/tasks\/(\d+)\/comments\.json$/)) {
+                const task = this.getTask(RegExp.$1);
+
+                task.comments = [...(task.comments || []), JSON.parse(options.body).comment];
+                return { status: "OK" };
+            }
+
+            throw new Error(`404 Not Found: ${method} ${path}`);
+        });
+    }
+
+    getTasklist(id) {
+        const tasklist = this.tasklists.find(tasklist => tasklist.id === parseInt(id));
+
+        if(!tasklist) {
+            throw new Error(`404 Not Found: tasklist ${id}`);
+        }
+
+        return tasklist;
+    }
+
+    getTask(id) {
+        for(const tasklist of this.tasklists) {
+            const task = tasklist.tasks.find(task => task.id === parseInt(id));
+
+            if(task) {
+                return task;
+            }
+        }
+
+        throw new Error(`404 Not Found: task ${id}`);
+    }
+}
@@ -0,0 +1,195 @@
+import { EventEmitter } from "events";
+import Promise from "bluebird";
+import { without } from "lodash";
+import Transport from "./Transport";
+import MemoryProjectsAPI from "./MemoryProjectsAPI";
+
+/**
+ * An in-memory chat for running the bot offline (e.g. in tests). People and
+ * rooms are created with `addPerson` and `createRoom`, then act with
+ * `room.post(person, content)`, `person.say(content)` (a direct message to the
+ * bot) and `room.addPerson(person)` / `room.removePerson(person)`.
+ */
+export default class MemoryTransport extends Transport {
+    constructor({ handle = "bot", api = new MemoryProjectsAPI() } = {}) {
+        super();
+
+        this.people = [];
+        this.rooms = [];
+        this.bot = new MemoryBot(this, { handle, firstName: "Bot" }, api);
+        this.people.push(this.bot);
+    }
+
+    async connect() {
+        return this.bot;
+    }
+
+    addPerson({ handle, firstName = handle }) {
+        const person = new MemoryPerson(this, { handle, firstName });
+        this.people.push(person);
+        return person;
+    }
+
+    createRoom(title, people) {
+        const room = new MemoryRoom(this, title, people);
+        this.rooms.push(room);
+        this.emit("room:created", room);
+        return room;
+    }
+
+    getPersonByHandle(handle) {
+        return this.people.find(person => person.handle === handle);
+    }
+
+    waitForRoom(predicate = () => true) {
+        return waitFor(this, "room:created", () => this.rooms.find(predicate));
+    }
+}
+
+let ids = 0;
+
+export class MemoryPerson extends EventEmitter {
+    constructor(chat, { handle, firstName }) {
+        super();
+
+        this.id = ++ids;
+        this.chat = chat;
+        this.handle = handle;
+        this.firstName = firstName;
+
+        // Direct messages from the bot to this person
+        this.messages = [];
+    }
+
+    async sendMessage(content) {
+        const message = { content, author: this.chat.bot };
+        this.messages.push(message);
+        this.emit("message:sent", message);
+        return message;
+    }
+
+    say(content) {
+        const message = { content, author: this };
+        this.emit("message:received", message);
+        return message;
+    }
+
+    // Resolves with the `nth` direct message from the bot matching `pattern`
+    waitForMessage(pattern, nth = 1) {
+        return waitFor(this, "message:sent", () => {
+            return this.messages.filter(message => message.content.match(pattern))[nth - 1];
+        });
+    }
+}
+
+export class MemoryRoom extends EventEmitter {
+    constructor(chat, title, people) {
+        super();
+
+        this.id = ++ids;
+        this.chat = chat;
+        this.title = title;
+        this.people = people.slice();
+        this.messages = [];
+        this.api = { user: chat.bot };
+    }
+
+    async sendMessage(content) {
+        return this.append({ content, author: this.chat.bot, room: this });
+    }
+
+    async updateTitle(title) {
+        this.title = title;
+    }
+
+    post(person, content) {
+        const message = this.append({ content, author: person, room: this });
+
+        this.emit("message:received", message);
+
+        if(content.includes(`@${this.chat.bot.handle}`)) {
+            this.emit("message:mention", message);
+            this.chat.bot.emit("message:mention", this, message);
+        }
+
+        return message;
+    }
+
+    addPerson(person) {
+        this.people.push(person);
+        this.emit("person:added", person);
+    }
+
+    removePerson(person) {
+        this.people = without(this.people, person);
+        this.emit("person:removed", person);
+    }
+
+    append(message) {
+        this.messages.push(message);
+        this.emit("message:appended", message);
+        return message;
+    }
+
+    // Resolves with the `nth` message from the bot in the room matching `pattern`
+    waitForMessage(pattern, nth = 1) {
+        return waitFor(this, "message:appended", () => this.messages.filter(message => {
+            return message.author === this.chat.bot && message.content.match(pattern);
+        })[nth - 1]);
+    }
+}
+
+export class MemoryBot extends MemoryPerson {
+    constructor(chat, person, api) {
+        super(chat, person);
+        this.api = api;
+    }
+
+    async getPersonByHandle(handle) {
+        const person = this.chat.getPersonByHandle(handle);
+
+        if(!person) {
+            throw new Error(`Person @${handle} not found.`);
+        }
+
+        return person;
+    }
+
+    async getRoomById(id) {
+        const room = this.chat.rooms.find(room => room.id === id);
+
+        if(!room) {
+            throw new Error(`Room ${id} not found.`);
+        }
+
+        return room;
+    }
+
+    async createRoomWithHandles(handles, content) {
+        const people = await Promise.all(handles.map(handle => this.getPersonByHandle(handle)));
+        const room = this.chat.createRoom(null, people);
+
+        if(content) {
+            await room.sendMessage(content);
+        }
+
+        return room;
+    }
+}
+
+// Resolve with whatever `find` finds, checking again every time `event` is emitted
+function waitFor(emitter, event, find) {
+    return new Promise(resolve => {
+        const check = () => {
+            const found = find();
+
+            if(found) {
+                emitter.removeListener(event, check);
+                resolve(found);
+            }
+        };
+
+        emitter.on(event, check);
+        check();
+    });
+}
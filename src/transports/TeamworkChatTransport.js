@@ -0,0 +1,21 @@
+import TeamworkChat from "@teamwork/tw-chat";
+import Transport from "./Transport";
+
+export default class TeamworkChatTransport extends Transport {
+    constructor(installation, key) {
+        super();
+        this.installation = installation;
+        this.key = key;
+    }
+
+    async connect() {
+        this.bot = await TeamworkChat.fromKey(this.installation, this.key);
+        return this.bot;
+    }
+
+    async close() {
+        if(this.bot) {
+            this.bot.close();
+        }
+    }
+}
@@ -0,0 +1,28 @@
+import { EventEmitter } from "events";
+
+/**
+ * The chat the bot runs against. `connect()` resolves with the bot user which
+ * the rest of the bot talks to, shaped like a @teamwork/tw-chat user:
+ *
+ *  - bot: `handle`, `api.request(path, options)` (the Teamwork Projects API),
+ *    `getPersonByHandle(handle)`, `getRoomById(id)`,
+ *    `createRoomWithHandles(handles, message)` and the
+ *    `"message:mention" (room, message)` event.
+ *  - room: `id`, `people`, `api.user`, `sendMessage(content)`,
+ *    `updateTitle(title)`, `addPerson(person)` (optional, for
+ *    `poker join`) and the `"message:mention" (message)`,
+ *    `"message:received" (message)` (every message posted in the room, used
+ *    to capture the discussion), `"person:added" (person)` and
+ *    `"person:removed" (person)` events.
+ *  - person: `id`, `handle`, `firstName`, `sendMessage(content)` (a direct
+ *    message) and the `"message:received" (message)` event for direct
+ *    messages from them.
+ *  - message: `content`, `author` and `room`.
+ */
+export default class Transport extends EventEmitter {
+    async connect() {
+        throw new Error(`${this.constructor.name} doesn't implement connect().`);
+    }
+
+    async close() {}
+}
@@ -1,23 +1,1222 @@
+import assert from "assert";
+import http from "http";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
 import winston from "winston";
-import Promise from "bluebird";
-import TeamworkChat from "@teamwork/tw-chat";
+import { CancellationError } from "bluebird";
 import poker from "../src";
+import Store from "../src/Store";
+import SessionManager from "../src/SessionManager";
+import Dashboard from "../src/Dashboard";
+import Messages from "../src/Messages";
+import Webhook from "../src/Webhook";
+import Prompt from "../src/Prompt";
+import parseDuration from "../src/duration";
+import { createSource } from "../src/sources";
+import MemoryTransport from "../src/transports/MemoryTransport";
+import MemoryProjectsAPI from "../src/transports/MemoryProjectsAPI";
 
-// winston.add(winston.transports.File, { filename: "poker.log" });
-
-// poker.then(() => {
-//     TeamworkChat.fromAuth("http://1486461376533.teamwork.com", "nw3Ujj83Gcz76vcOEIitdti5rfsPW-120606").then(chat => {
-//         return [chat, chat.impersonateByHandle("michael")];
-//     }).spread((chat, michael) => {
-//         return Promise.try(async () => {
-//             // Start the poker in a company room
-//             const companyRoom = await chat.getRoomByTitle("Poker");
-
-//             // Start the poker
-//             await companyRoom.sendMessage("@bot poker");
-//         }).finally(() => {
-//             chat.close();
-//             michael.close();
-//         });
-//     });
-// });
\ No newline at end of file
+winston.remove(winston.transports.Console);
+
+const TASKLIST_URL = "https://digitalcrew.teamwork.com/index.cfm#tasklists/1";
+
+describe("Sprint planning poker", () => {
+    let chat, api, store, manager, moderator, alice, bob, lobby;
+
+    beforeEach(async () => {
+        api = new MemoryProjectsAPI({
+            tasklists: [{
+                id: 1,
+                name: "Sprint 42",
+                projectId: 7,
+                tasks: [
+                    { id: 101, content: "Build the thing", "estimated-minutes": 0 },
+                    { id: 102, content: "Fix the thing", "estimated-minutes": 0 },
+                    { id: 103, content: "Test the thing", "estimated-minutes": 0 }
+                ]
+            }]
+        });
+
+        chat = new MemoryTransport({ api });
+        store = new Store(path.join(os.tmpdir(), `poker-test-${process.pid}-${Date.now()}.json`));
+        moderator = chat.addPerson({ handle: "moderator", firstName: "Mo" });
+        alice = chat.addPerson({ handle: "alice", firstName: "Alice" });
+        bob = chat.addPerson({ handle: "bob", firstName: "Bob" });
+        lobby = chat.createRoom("Lobby", [chat.bot, moderator, alice, bob]);
+
+        manager = new SessionManager(store);
+
+        await poker(chat, { store, manager, session: { welcomeDelay: 0, retryDelay: 0, allowPrivateHosts: true } });
+    });
+
+    afterEach(async () => {
+        manager.stop();
+        await Promise.all(manager.sessions.slice().map(session => session.cancel("the test is over").catch(() => {})));
+
+        [store.filename, `${store.filename}.tmp`].filter(filename => fs.existsSync(filename)).forEach(filename => fs.unlinkSync(filename));
+    });
+
+    async function createSession(handles = "@alice @bob") {
+        const rooms = chat.rooms.slice();
+        lobby.post(moderator, `@bot poker ${handles}`);
+
+        const room = await chat.waitForRoom(room => !rooms.includes(room));
+        await room.waitForMessage(/must select a tasklist/);
+
+        return room;
+    }
+
+    async function vote(person, value, nth = 1) {
+        await person.waitForMessage(/Please (input a time estimate|pick a card)/, nth);
+        person.say(value);
+    }
+
+    it("creates a room with the moderator and participants", async () => {
+        const room = await createSession();
+
+        assert.deepEqual(room.people.map(person => person.handle), ["bot", "moderator", "alice", "bob"]);
+        assert.equal(room.title, "Sprint Planning Poker");
+        await alice.waitForMessage(/you've been included in Sprint Planning Poker/);
+    });
+
+    it("refuses to plan something it doesn't recognize", async () => {
+        const room = await createSession();
+
+        room.post(moderator, "@bot plan not a tasklist");
+        await room.waitForMessage(/I don't recognize that/);
+    });
+
+    it("follows redirects to a file of tasks", async () => {
+        const server = http.createServer((req, res) => {
+            if(req.url === "/attachments/1") {
+                res.writeHead(302, { Location: "/files/tasks.csv" });
+                return res.end();
+            }
+
+            if(req.url === "/loop") {
+                res.writeHead(302, { Location: "/loop" });
+                return res.end();
+            }
+
+            res.end("id,title\n1,Write the docs\n2,Ship it");
+        });
+
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        const url = `http://127.0.0.1:${server.address().port}`;
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${url}/attachments/1`);
+        await room.waitForMessage(/There are 2 tasks to plan/);
+
+        const other = await createSession();
+        other.post(moderator, `@bot plan ${url}/loop`);
+        await other.waitForMessage(/Unable to download .*\/loop \(too many redirects\)/);
+
+        server.close();
+    });
+
+    it("only downloads files from public hosts and not forever", async () => {
+        const server = http.createServer((req, res) => {
+            const trickle = setInterval(() => res.write("1"), 20);
+
+            res.write("id,title\n");
+            res.on("close", () => clearInterval(trickle));
+        });
+
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        const port = server.address().port;
+
+        await assert.rejects(createSource(api, `http://127.0.0.1:${port}/tasks.csv`), /Unable to download .* \(it's on a private network\)/);
+        await assert.rejects(createSource(api, `http://localhost:${port}/tasks.csv`), /\(it's on a private network\)/);
+        await assert.rejects(createSource(api, `http://127.0.0.1:${port}/tasks.csv`, { allowPrivateHosts: true, timeout: 200 }), /\(it took too long\)/);
+
+        server.close();
+    });
+
+    it("writes back the tasks of a tasklist planned together with a file", async () => {
+        const server = http.createServer((req, res) => res.end("id,title\n1,Write the docs"));
+
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL} http://127.0.0.1:${server.address().port}/tasks.csv`);
+        await room.waitForMessage(/There are 4 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        room.post(moderator, "@bot estimate 2");
+        await room.waitForMessage(/Updating task \*\*Build the thing\*\*/);
+        await room.waitForMessage(/Task #102/);
+        assert.equal(api.getTask(101)["estimated-minutes"], 120);
+        assert.equal(api.getTask(101).comments.length, 1);
+
+        room.post(moderator, "@bot skip");
+        await room.waitForMessage(/Task #103/);
+        room.post(moderator, "@bot skip");
+        await room.waitForMessage(/Task #1:/);
+        room.post(moderator, "@bot estimate 1");
+        await room.waitForMessage(/Recording task \*\*Write the docs\*\*/);
+
+        await room.waitForMessage(/Sprint planning complete/);
+        await room.waitForMessage(/Updated 1 of 1 task\(s\) in Sprint 42 \+ tasks\.csv/);
+
+        room.post(alice, "@bot report json");
+        const { tasks } = JSON.parse((await room.waitForMessage(/^```\n\{/)).content.replace(/```/g, ""));
+        assert.equal(tasks.find(task => task.id === 101).writeBack, "written");
+        assert.equal(tasks.find(task => task.id === "1").writeBack, null);
+
+        room.post(moderator, "@bot undo");
+        await room.waitForMessage(/Undid the estimate of \*\*1 hr\(s\)\*\* for task \*\*Write the docs\*\*\. It's up next/);
+
+        server.close();
+    });
+
+    it("plans, votes, skips, passes and estimates a whole tasklist", async () => {
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        assert.equal(room.title, "Sprint planning poker: Sprint 42");
+
+        room.post(moderator, "@bot start");
+
+        // Task #101: everyone votes and the moderator confirms
+        await room.waitForMessage(/Task #101/);
+        await vote(moderator, "2");
+        await vote(alice, "2");
+        room.post(bob, "@bot vote 3");
+
+        await room.waitForMessage(/Average estimate: \*\*2.33 hr\(s\)\*\*/);
+        await moderator.waitForMessage(/Please select final estimate for task #101/);
+        moderator.say("2.5");
+
+        await room.waitForMessage(/Moving to next task \(#1 of 3, 2 to go\)/);
+        assert.equal(api.getTask(101)["estimated-minutes"], 150);
+
+        // Task #102: skipped
+        await room.waitForMessage(/Task #102/);
+        room.post(moderator, "@bot skip");
+        await room.waitForMessage(/Skipping task \[Fix the thing\]/);
+
+        // Task #103: passed, then comes straight back and the moderator sets the estimate
+        await room.waitForMessage(/Task #103/);
+        room.post(moderator, "@bot pass");
+        await room.waitForMessage(/Pushing task to end of the queue/);
+        await room.waitForMessage(/Task #103/, 2);
+        await vote(alice, "1", 3);
+
+        room.post(moderator, "@bot status");
+        await room.waitForMessage(/@moderator, @bob are still estimating/);
+
+        room.post(moderator, "@bot estimate 4");
+
+        await room.waitForMessage(/Sprint planning complete/);
+        assert.equal(api.getTask(102)["estimated-minutes"], 0);
+        assert.equal(api.getTask(103)["estimated-minutes"], 240);
+
+        const summary = await room.waitForMessage(/^1\. \[Build the thing\]/m);
+        assert(summary.content.includes("**2.5 hr(s)**"));
+        assert.deepEqual(store.load(), []);
+    });
+
+    it("reports the planning in markdown, CSV and JSON", async () => {
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await vote(moderator, "2");
+        await vote(alice, "2");
+        await vote(bob, "2");
+        await moderator.waitForMessage(/Please select final estimate for task #101/);
+        moderator.say("3");
+
+        await room.waitForMessage(/Task #102/);
+        room.post(moderator, "@bot pass");
+        await room.waitForMessage(/Task #103/);
+        room.post(moderator, "@bot skip");
+        await room.waitForMessage(/Task #102/, 2);
+
+        room.post(alice, "@bot report");
+        const markdown = await room.waitForMessage(/Sprint planning report: Sprint 42\*\* \(in progress\)/);
+        assert(markdown.content.includes("Build the thing](https://digitalcrew.teamwork.com/index.cfm#tasks/101) | @moderator: 2, @alice: 2, @bob: 2 | 2 | 3 | 3 | @moderator |"));
+        assert(markdown.content.includes("Skipped: Test the thing"));
+        assert(markdown.content.includes("Passed: Fix the thing (1x)"));
+
+        room.post(alice, "@bot report csv");
+        const csv = await room.waitForMessage(/^```\nid,title/);
+        assert(csv.content.includes("101,Build the thing,https://digitalcrew.teamwork.com/index.cfm#tasks/101,estimated,moderator=2;alice=2;bob=2,1,2,3,3,moderator,0,"));
+
+        room.post(alice, "@bot report json");
+        const json = JSON.parse((await room.waitForMessage(/^```\n\{/)).content.replace(/```/g, ""));
+        assert.deepEqual(json.totals, { tasks: 3, estimated: 1, skipped: 1, pending: 1, passed: 1, overridden: 1, hours: 3, capacity: null });
+
+        room.post(alice, "@bot report pdf");
+        await room.waitForMessage(/Unknown report format "pdf"/);
+    });
+
+    it("only lets the moderator set the estimate", async () => {
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+        await room.waitForMessage(/Task #101/);
+
+        room.post(alice, "@bot estimate 4");
+        await room.waitForMessage(/only the moderator can set the estimate/);
+    });
+
+    it("rejects estimates that aren't cards in the deck", async () => {
+        const room = await createSession();
+
+        room.post(moderator, "@bot deck tshirt");
+        await room.waitForMessage(/estimating with the \*\*tshirt\*\*/);
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await alice.waitForMessage(/Please pick a card from the \*\*tshirt\*\*/);
+        alice.say("7");
+        await alice.waitForMessage(/"7" isn't a card in the tshirt deck/);
+        alice.say("m");
+        await alice.waitForMessage(/Your estimate of M has been submitted/);
+    });
+
+    it("understands estimates in minutes, days and phrases", async () => {
+        const room = await createSession();
+
+        room.post(moderator, "@bot set workday 6");
+        await room.waitForMessage(/Setting \*\*workday\*\* is now \*\*6\*\*/);
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await vote(moderator, "2h 30m");
+        await moderator.waitForMessage(/Your estimate of 2.5 hr\(s\) \(2h 30m\) has been submitted/);
+        await vote(alice, "a while");
+        await alice.waitForMessage(/I couldn't make sense of "a while" as an estimate/);
+        alice.say("4 or 5 hours");
+        await alice.waitForMessage(/I couldn't make sense of "4 or 5 hours" as an estimate/);
+        alice.say("90 min");
+        await alice.waitForMessage(/Your estimate of 1.5 hr\(s\) \(1h 30m\) has been submitted/);
+        room.post(bob, "@bot vote half a day");
+        await bob.waitForMessage(/Your estimate of 3 hr\(s\) has been submitted/);
+
+        await room.waitForMessage(/Average estimate: \*\*2.33 hr\(s\)\*\*/);
+        await moderator.waitForMessage(/Please select final estimate for task #101/);
+        moderator.say("1.5 days");
+
+        await room.waitForMessage(/Moving to next task/);
+        assert.equal(api.getTask(101)["estimated-minutes"], 540);
+
+        assert.equal(parseDuration("1,5"), 1.5);
+        assert.equal(parseDuration("1 1/2 hours"), 1.5);
+        assert.equal(parseDuration("3 hours and 15"), 3.25);
+        assert.equal(parseDuration("an hour or so"), 1);
+        ["4 or 5 hours", "3 4", "1.2.3", "-3", "hours", "30m 15"].forEach(input => {
+            assert.throws(() => parseDuration(input), /I couldn't make sense of/, input);
+        });
+    });
+
+    it("re-votes when the estimates diverge", async () => {
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await vote(moderator, "4");
+        await vote(alice, "1");
+        await vote(bob, "40");
+
+        await room.waitForMessage(/@alice \(1 hr\(s\)\) and @bob \(40 hr\(s\)\), please explain/);
+        await moderator.waitForMessage(/Voting pass #2/);
+
+        await vote(moderator, "4", 2);
+        await vote(alice, "4", 2);
+        await room.waitForMessage(/Mo has voted/, 2);
+
+        room.post(moderator, "@bot reveal");
+        await room.waitForMessage(/The moderator revealed the votes/);
+        await room.waitForMessage(/Average estimate: \*\*4 hr\(s\)\*\*/);
+    });
+
+    it("takes votes, changes and abstentions in private messages", async () => {
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await alice.waitForMessage(/Please input a time estimate/);
+        alice.say("vote 2");
+        await alice.waitForMessage(/Thank you/);
+        alice.say("vote 4");
+        await alice.waitForMessage(/Your vote has been changed to 4 hr\(s\)/);
+
+        bob.say("status");
+        await bob.waitForMessage(/@moderator, @bob are still estimating/);
+        bob.say("abstain");
+        await room.waitForMessage(/Bob is abstaining from this task/);
+
+        bob.say("skip");
+        await bob.waitForMessage(/only the moderator can skip a task/);
+
+        await vote(moderator, "2");
+        await room.waitForMessage(/Average estimate: \*\*3 hr\(s\)\*\*/);
+        assert(!room.messages.some(message => message.content.match(/still estimating/)));
+    });
+
+    it("lets the moderator stop the planning from a private message", async () => {
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await vote(moderator, "2");
+        await vote(alice, "2");
+        await vote(bob, "2");
+        await moderator.waitForMessage(/Please select final estimate for task #101/);
+        moderator.say("estimate 3");
+
+        await room.waitForMessage(/Task #102/);
+        moderator.say("stop");
+
+        await room.waitForMessage(/stopped the planning after .*, 2 task\(s\) weren't estimated/);
+        await room.waitForMessage(/^1\. \[Build the thing\].* - \*\*3 hr\(s\)\*\*/m);
+        assert.equal(api.getTask(101)["estimated-minutes"], 180);
+        assert.equal(api.getTask(102)["estimated-minutes"], 0);
+        assert.deepEqual(store.load(), []);
+    });
+
+    it("answers private messages in one planning when people are in two at once", async () => {
+        const room = await createSession();
+        const other = await createSession();
+        const count = (person, pattern) => person.messages.filter(message => message.content.match(pattern)).length;
+
+        other.post(moderator, "@bot plan id,title\n1,Write the docs\n2,Ship it");
+        await other.waitForMessage(/There are 2 tasks to plan/);
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await vote(alice, "3");
+        await room.waitForMessage(/Alice has voted/);
+        assert.equal(count(alice, /I don't understand your input/), 0);
+
+        await moderator.waitForMessage(/Please input a time estimate/);
+        moderator.say("stop");
+        await room.waitForMessage(/The moderator stopped the planning/);
+        assert.equal(count(moderator, /There's no planning in progress to stop/), 0);
+        assert.equal(other.messages.filter(message => message.content.match(/stopped the planning/)).length, 0);
+
+        // Someone who rejoins is still answered once, and only by the planning that's left
+        other.removePerson(bob);
+        other.addPerson(bob);
+        await other.waitForMessage(/Bob has joined/);
+        bob.say("status");
+        await bob.waitForMessage(/0 of 2 tasks estimated/);
+        const helped = count(bob, /Commands you can send me here/);
+        bob.say("help");
+        await bob.waitForMessage(/Commands you can send me here/, helped + 1);
+        assert.equal(count(bob, /tasks estimated/), 1);
+    });
+
+    it("stops while the moderator picks the final estimate and lets go of the prompt", async () => {
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await vote(moderator, "2");
+        await vote(alice, "2");
+        await vote(bob, "2");
+        await moderator.waitForMessage(/Please select final estimate for task #101/);
+        room.post(moderator, "@bot stop");
+        await room.waitForMessage(/stopped the planning after .*, 3 task\(s\) weren't estimated/);
+
+        const prompt = new Prompt(alice, { message: "Pick a card" });
+        const answer = prompt.run();
+
+        prompt.cancel();
+        await answer.then(() => assert.fail("a cancelled prompt shouldn't resolve"), err => assert(err instanceof CancellationError));
+    });
+
+    it("undoes an estimate and revisits a skipped task", async () => {
+        const room = await createSession();
+
+        api.getTask(101)["estimated-minutes"] = 90;
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        room.post(moderator, "@bot estimate 40");
+        await room.waitForMessage(/Task #102/);
+        assert.equal(api.getTask(101)["estimated-minutes"], 2400);
+
+        room.post(alice, "@bot undo");
+        await room.waitForMessage(/only the moderator can undo an estimate/);
+        room.post(moderator, "@bot undo");
+        await room.waitForMessage(/Undid the estimate of \*\*40 hr\(s\)\*\* .*, it's back to 1.5 hr\(s\)/);
+        assert.equal(api.getTask(101)["estimated-minutes"], 90);
+
+        room.post(moderator, "@bot skip");
+        await room.waitForMessage(/Task #101/, 2);
+        room.post(moderator, "@bot estimate 4");
+        await room.waitForMessage(/Task #103/);
+        assert.equal(api.getTask(101)["estimated-minutes"], 240);
+
+        room.post(moderator, "@bot revisit #102");
+        await room.waitForMessage(/Fix the thing\]\(.*\) is back at the end of the queue/);
+        room.post(moderator, "@bot estimate 1");
+        await room.waitForMessage(/Task #102/, 2);
+        room.post(moderator, "@bot estimate 2");
+
+        await room.waitForMessage(/Sprint planning complete/);
+        assert.equal(api.getTask(102)["estimated-minutes"], 120);
+    });
+
+    it("undoes the estimate of the last task once the planning is complete", async () => {
+        const request = api.request.bind(api);
+        let failing = false;
+
+        api.request = (path, options) => failing && path.includes("OnSetTaskEstimates") ? Promise.reject(new Error("503 Service Unavailable")) : request(path, options);
+
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        room.post(moderator, "@bot estimate 1");
+        await room.waitForMessage(/Task #102/);
+        room.post(moderator, "@bot estimate 2");
+        await room.waitForMessage(/Task #103/);
+        room.post(moderator, "@bot estimate 40");
+        await room.waitForMessage(/Sprint planning complete/);
+        assert.equal(api.getTask(103)["estimated-minutes"], 2400);
+        assert.deepEqual(manager.sessions, []);
+
+        // The estimate isn't lost when it can't be put back
+        failing = true;
+        room.post(moderator, "@bot undo");
+        await room.waitForMessage(/couldn't put back the previous estimate of task \*\*Test the thing\*\* \(503 Service Unavailable\), it's still 40 hr\(s\)/);
+        failing = false;
+
+        room.post(moderator, "@bot undo");
+        await room.waitForMessage(/Undid the estimate of \*\*40 hr\(s\)\*\* for task \[Test the thing\]/);
+        await room.waitForMessage(/Task #103/, 2);
+        assert.equal(api.getTask(103)["estimated-minutes"], 0);
+        assert.equal(manager.sessions.length, 1);
+
+        room.post(moderator, "@bot estimate 4");
+        await room.waitForMessage(/Sprint planning complete/, 2);
+        assert.equal(api.getTask(103)["estimated-minutes"], 240);
+        assert.deepEqual(manager.sessions, []);
+        assert.deepEqual(store.load(), []);
+    });
+
+    it("only asks voters for estimates and hands over the moderation", async () => {
+        const room = await createSession();
+
+        room.post(alice, "@bot observe @bob");
+        await room.waitForMessage(/only the moderator can change someone else's role/);
+        room.post(moderator, "@bot observe @bob");
+        await room.waitForMessage(/Bob is now observing/);
+        room.post(alice, "@bot plan " + TASKLIST_URL);
+        await room.waitForMessage(/only the moderator can plan a tasklist/);
+
+        room.post(moderator, "@bot moderator @alice");
+        await room.waitForMessage(/Mo handed over, @alice is now the moderator/);
+        room.post(alice, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(alice, "@bot start");
+
+        await vote(moderator, "2");
+        room.post(moderator, "@bot status");
+        await room.waitForMessage(/Voters: Mo, Alice. Observers: Bob/);
+        await vote(alice, "4");
+
+        await room.waitForMessage(/Average estimate: \*\*3 hr\(s\)\*\*/);
+        await alice.waitForMessage(/Please select final estimate for task #101/);
+        assert(!bob.messages.some(message => message.content.match(/Please input a time estimate/)));
+
+        room.post(bob, "@bot voter");
+        await room.waitForMessage(/Bob is now a voter/);
+        alice.say("3");
+        await bob.waitForMessage(/Please input a time estimate/);
+    });
+
+    it("lists, joins and cancels the plannings running on the bot", async () => {
+        const carol = chat.addPerson({ handle: "carol", firstName: "Carol" });
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+
+        const other = await createSession("@alice");
+        other.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await other.waitForMessage(new RegExp(`\\*\\*Sprint 42\\*\\* is already being planned in room ${room.id}`));
+
+        lobby.post(carol, "@bot poker list");
+        await lobby.waitForMessage(/2 planning\(s\) running/);
+        assert(lobby.messages.some(message => message.content.includes(`Room ${room.id}: **Sprint 42**, moderated by @moderator`)));
+
+        lobby.post(carol, `@bot poker join ${TASKLIST_URL}`);
+        await lobby.waitForMessage(/Added you to the planning of \*\*Sprint 42\*\*/);
+        assert(room.people.includes(carol));
+        await carol.waitForMessage(/you've been included in Sprint Planning Poker/);
+
+        lobby.post(carol, `@bot poker cancel ${other.id}`);
+        await lobby.waitForMessage(/only the people in a planning can cancel it/);
+        lobby.post(moderator, `@bot poker cancel ${other.id}`);
+        await other.waitForMessage(/This planning has been cancelled, @moderator cancelled it/);
+        assert.deepEqual(store.load().map(session => session.room), [room.id]);
+    });
+
+    it("cancels plannings nobody has touched for a while", async () => {
+        const quiet = new MemoryTransport({ api });
+        const person = quiet.addPerson({ handle: "mo", firstName: "Mo" });
+        const lobby = quiet.createRoom("Lobby", [quiet.bot, person, quiet.addPerson({ handle: "al", firstName: "Al" })]);
+
+        await poker(quiet, { store, idle: 0.001, session: { welcomeDelay: 0 } });
+        lobby.post(person, "@bot poker @al");
+
+        const room = await quiet.waitForRoom(room => room !== lobby);
+        await room.waitForMessage(/This planning has been cancelled, nobody has used it for/);
+        assert.deepEqual(store.load(), []);
+    });
+
+    it("keeps quiet async plannings open until their deadline", async () => {
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start async 7 days");
+        await room.waitForMessage(/Voting on the 3 tasks is open/);
+
+        const session = manager.findByRoom(room.id);
+        manager.idle = 24 * 60;
+        session.lastActivity = session.lastActivity.clone().subtract(25, "hours");
+        await manager.expire();
+        assert(manager.sessions.includes(session));
+
+        await session.closeVoting();
+        await manager.expire();
+        assert(manager.sessions.includes(session));
+
+        session.lastActivity = session.lastActivity.clone().subtract(25, "hours");
+        await manager.expire();
+        await room.waitForMessage(/This planning has been cancelled, nobody has used it for a day/);
+    });
+
+    it("retries failed writes and keeps planning", async () => {
+        const request = api.request.bind(api);
+        let failures = 4;
+
+        api.request = (path, options) => {
+            if(path.includes("OnSetTaskEstimates") && failures-- > 0) {
+                return Promise.reject(new Error("503 Service Unavailable"));
+            }
+
+            return request(path, options);
+        };
+
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        room.post(moderator, "@bot estimate 1");
+        await room.waitForMessage(/I couldn't update task \*\*Build the thing\*\* \(503 Service Unavailable\)/);
+        room.post(moderator, "@bot estimate 2");
+        await room.waitForMessage(/Task #103/);
+        assert.equal(api.getTask(102)["estimated-minutes"], 120);
+        room.post(moderator, "@bot estimate 3");
+
+        await room.waitForMessage(/Sprint planning complete/);
+        await room.waitForMessage(/Updated 3 of 3 task\(s\) in Sprint 42/);
+        assert.equal(api.getTask(101)["estimated-minutes"], 60);
+    });
+
+    it("batches the estimates for review and only writes them on commit", async () => {
+        const room = await createSession();
+
+        room.post(moderator, "@bot set writeback batched");
+        await room.waitForMessage(/Setting \*\*writeback\*\* is now \*\*batched\*\*/);
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        room.post(moderator, "@bot estimate 1");
+        await room.waitForMessage(/Task #102/);
+        room.post(moderator, "@bot skip");
+        await room.waitForMessage(/Task #103/);
+        room.post(moderator, "@bot estimate 40");
+
+        await room.waitForMessage(/Please review the estimates before they're written to Sprint 42/);
+        assert.equal(api.getTask(103)["estimated-minutes"], 0);
+
+        room.post(moderator, "@bot undo");
+        await room.waitForMessage(/Undid the estimate of \*\*40 hr\(s\)\*\* for task \[Test the thing\]\([^)]*\)\. It's up next/);
+        await room.waitForMessage(/Task #103/, 2);
+        room.post(moderator, "@bot estimate 4");
+
+        await room.waitForMessage(/Please review the estimates/, 2);
+        room.post(moderator, "@bot commit");
+        await room.waitForMessage(/Updated 2 of 2 task\(s\) in Sprint 42/);
+        await room.waitForMessage(/Sprint planning complete/);
+        assert.equal(api.getTask(101)["estimated-minutes"], 60);
+        assert.equal(api.getTask(103)["estimated-minutes"], 240);
+    });
+
+    it("never writes the estimates in a dry run", async () => {
+        const room = await createSession();
+
+        room.post(moderator, "@bot set writeback dry-run");
+        await room.waitForMessage(/Setting \*\*writeback\*\* is now/);
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        room.post(moderator, "@bot estimate 1");
+        await room.waitForMessage(/Task #102/);
+        room.post(moderator, "@bot stop");
+
+        await room.waitForMessage(/Updated 0 of 1 task\(s\) in Sprint 42.\n.*Not updated: #101 \(dry-run\)/);
+        assert.equal(api.getTask(101)["estimated-minutes"], 0);
+        assert.equal(store.getHistory("digitalcrew", 101), undefined);
+    });
+
+    describe("with a second tasklist", () => {
+        const SECOND_TASKLIST_URL = "https://digitalcrew.teamwork.com/index.cfm#tasklists/2";
+
+        beforeEach(() => {
+            api.tasklists.push({
+                id: 2,
+                name: "Sprint 43",
+                projectId: 7,
+                tasks: [
+                    { id: 201, content: "Already estimated", "estimated-minutes": 60, priority: "high" },
+                    { id: 202, content: "Low priority", priority: "low", tags: [{ name: "Backend" }], "responsible-party-ids": String(alice.id) },
+                    { id: 203, content: "A subtask", parentTaskId: "202" },
+                    { id: 204, content: "High priority", priority: "high", tags: [{ name: "backend" }] }
+                ]
+            });
+        });
+
+        it("plans several tasklists filtered, ordered and reordered", async () => {
+            const room = await createSession();
+
+            room.post(moderator, `@bot plan ${TASKLIST_URL} ${SECOND_TASKLIST_URL} --unestimated --order priority`);
+            await room.waitForMessage(/plan the \*\*Sprint 42 \+ Sprint 43\*\* tasklists.*There are 5 tasks to plan \(2 filtered out\)/);
+
+            room.post(alice, "@bot queue");
+            const queue = await room.waitForMessage(/5 task\(s\) in the queue/);
+            assert.deepEqual(queue.content.match(/Task #\d+/g), ["Task #204", "Task #202", "Task #101", "Task #102", "Task #103"]);
+
+            room.post(alice, "@bot queue #103 1");
+            await room.waitForMessage(/only the moderator can reorder the queue/);
+            room.post(moderator, "@bot queue #103 1");
+            await room.waitForMessage(/^1\. Task #103/m);
+
+            room.post(moderator, "@bot start");
+            await room.waitForMessage(/arrow_right: Task #103/);
+            room.post(moderator, "@bot estimate 2");
+            await room.waitForMessage(/arrow_right: Task #204/);
+            room.post(moderator, "@bot estimate 3");
+            await room.waitForMessage(/arrow_right: Task #202/);
+
+            assert.equal(api.getTask(103)["estimated-minutes"], 120);
+            assert.equal(api.getTask(204)["estimated-minutes"], 180);
+        });
+
+        it("plans only the tasks with a tag and assignee", async () => {
+            const room = await createSession();
+
+            room.post(moderator, `@bot plan ${SECOND_TASKLIST_URL} --tag backend --assignee @alice`);
+            await room.waitForMessage(/There are 1 tasks to plan \(3 filtered out\)/);
+
+            room.post(moderator, "@bot queue");
+            await room.waitForMessage(/^1\. Task #202/m);
+        });
+    });
+
+    it("shows the vote statistics and suggests the chosen aggregate", async () => {
+        const room = await createSession();
+
+        room.post(moderator, "@bot deck fibonacci");
+        await room.waitForMessage(/estimating with the \*\*fibonacci\*\*/);
+        room.post(moderator, "@bot set threshold 10");
+        await room.waitForMessage(/Setting \*\*threshold\*\* is now/);
+        room.post(moderator, "@bot set snap on");
+        await room.waitForMessage(/Setting \*\*snap\*\* is now \*\*on\*\*/);
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await vote(moderator, "1");
+        await vote(alice, "2");
+        await vote(bob, "8");
+
+        const reveal = await room.waitForMessage(/Everyone has voted/);
+        assert(reveal.content.includes("| 3.67 point(s) | 2 point(s) | - | 1 point(s) | 8 point(s) | 3.09 point(s) | 16% |"));
+        await room.waitForMessage(/Average estimate: \*\*3 point\(s\)\*\*/);
+
+        room.post(moderator, "@bot set aggregate median");
+        await room.waitForMessage(/Setting \*\*aggregate\*\* is now \*\*median\*\*/);
+        await moderator.waitForMessage(/Please select final estimate for task #101. Average was 3 point\(s\)/);
+        moderator.say("3");
+
+        await vote(moderator, "1", 2);
+        await vote(alice, "2", 2);
+        await vote(bob, "8", 2);
+        await room.waitForMessage(/Median estimate: \*\*2 point\(s\)\*\*/);
+    });
+
+    it("tracks the estimates against the sprint's capacity", async () => {
+        const room = await createSession();
+
+        room.post(alice, "@bot capacity 100");
+        await room.waitForMessage(/only the moderator can set the capacity/);
+        room.post(moderator, "@bot capacity @alice 10 @bob 5 focus 80%");
+        await room.waitForMessage(/capacity is \*\*12 hr\(s\)\*\* \(@alice 10 hr\(s\), @bob 5 hr\(s\), 80% focus\)/);
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        room.post(moderator, "@bot estimate 8");
+        await room.waitForMessage(/Moving to next task \(#1 of 3, 2 to go\). .* Planned \*\*8 of 12 hr\(s\)\*\* capacity, 4 hr\(s\) left/);
+        room.post(moderator, "@bot estimate 6");
+        await room.waitForMessage(/it's \*\*2 hr\(s\)\*\* over capacity/);
+
+        room.post(alice, "@bot status");
+        await room.waitForMessage(/Planned \*\*14 of 12 hr\(s\)\*\* capacity, \*\*2 hr\(s\) over\*\*/);
+        room.post(moderator, "@bot estimate 1");
+        await room.waitForMessage(/Sprint planning complete/);
+        await room.waitForMessage(/Planned \*\*15 of 12 hr\(s\)\*\* capacity/);
+        assert.equal(room.messages.filter(message => message.content.match(/over capacity/)).length, 1);
+    });
+
+    it("serves the sessions and a stream of their changes on the dashboard", async () => {
+        const dashboard = new Dashboard(manager);
+        const { port } = await dashboard.listen(0);
+
+        try {
+            const room = await createSession();
+
+            room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+            await room.waitForMessage(/There are 3 tasks to plan/);
+
+            const events = await stream(port, "/api/events");
+            room.post(moderator, "@bot start");
+            await vote(alice, "3");
+
+            const state = await events.waitFor(state => state.current && state.current.voted.includes("alice"));
+            assert.equal(state.name, "Sprint 42");
+            assert.equal(state.status, "planning");
+            assert.deepEqual(state.current.waiting, ["moderator", "bob"]);
+            assert(!JSON.stringify(state).includes('"value":3'));
+            events.close();
+
+            const sessions = await request(port, "/api/sessions");
+            assert.deepEqual(sessions.body.map(session => session.room), [room.id]);
+            assert.deepEqual((await request(port, `/api/sessions/${room.id}`)).body.queue.map(task => task.id), [102, 103]);
+            assert.equal((await request(port, "/api/sessions/nope")).status, 404);
+            assert((await request(port, "/")).body.includes("EventSource"));
+        } finally {
+            await dashboard.close();
+        }
+    });
+
+    it("posts the planning's events to a webhook, signed and retried", async () => {
+        const deliveries = [];
+        let failures = 1;
+        const server = http.createServer((req, res) => {
+            let body = "";
+            req.setEncoding("utf8");
+            req.on("data", chunk => body += chunk);
+            req.on("end", () => {
+                res.writeHead(failures-- > 0 ? 500 : 204);
+                res.end();
+
+                if(failures < 0) {
+                    deliveries.push({ signature: req.headers["x-poker-signature"], body, event: JSON.parse(body) });
+                }
+            });
+        });
+
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        const webhook = new Webhook(`http://127.0.0.1:${server.address().port}/hooks/poker`, { secret: "s3cret", retryDelay: 0 }).attach(manager);
+
+        try {
+            const room = await createSession();
+
+            room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+            await room.waitForMessage(/There are 3 tasks to plan/);
+            room.post(moderator, "@bot start");
+
+            await vote(moderator, "2");
+            await vote(alice, "4");
+            await vote(bob, "3");
+            await moderator.waitForMessage(/Please select final estimate for task #101/);
+            moderator.say("estimate 3");
+            await room.waitForMessage(/Moving to next task/);
+            room.post(moderator, "@bot skip");
+            await room.waitForMessage(/Skipping task/);
+            room.post(moderator, "@bot stop");
+            await room.waitForMessage(/The moderator stopped the planning/);
+            await webhook.idle();
+
+            const events = deliveries.map(delivery => delivery.event);
+            const find = type => events.find(event => event.type === type);
+
+            assert.deepEqual(events.slice(0, 3).map(event => event.type), ["session:planned", "session:started", "round:started"]);
+            assert(deliveries.every(delivery => delivery.signature === "sha256=" + crypto.createHmac("sha256", "s3cret").update(delivery.body).digest("hex")));
+            assert.deepEqual(find("session:planned").tasks.map(task => task.id), [101, 102, 103]);
+            assert.deepEqual(events.filter(event => event.type === "vote:cast").map(event => event.person).sort(), ["alice", "bob", "moderator"]);
+            assert(events.filter(event => event.type === "vote:cast").every(event => !("value" in event)));
+            assert.deepEqual(find("round:revealed").votes.map(vote => vote.value), [2, 4, 3]);
+            assert.deepEqual([find("estimate:finalized").task.id, find("estimate:finalized").value, find("estimate:finalized").by], [101, 3, "moderator"]);
+            assert.equal(find("task:skipped").task.id, 102);
+            assert.deepEqual(events[events.length - 1], { ...events[events.length - 1], type: "session:stopped", outcome: "stopped", estimated: 1, skipped: 1, remaining: 1 });
+        } finally {
+            server.close();
+        }
+    });
+
+    it("drops the oldest waiting webhook events once the queue is full", async () => {
+        const delivered = [];
+        let open;
+        const gate = new Promise(resolve => open = resolve);
+        const webhook = new Webhook("http://127.0.0.1/hooks/poker", { maxQueue: 3 });
+
+        webhook.deliver = ({ event }) => gate.then(() => delivered.push(event.type));
+        ["a", "b", "c", "d", "e"].forEach(type => webhook.send({ type }));
+        open();
+        await webhook.idle();
+
+        assert.deepEqual(delivered, ["a", "d", "e"]);
+    });
+
+    it("reminds stragglers and closes the vote when time is up", async () => {
+        const room = await createSession();
+
+        room.post(moderator, "@bot set timelimit 0.002");
+        await room.waitForMessage(/Setting \*\*timelimit\*\* is now/);
+        room.post(moderator, "@bot set reminder 0.0005");
+        await room.waitForMessage(/Setting \*\*reminder\*\* is now/);
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await vote(moderator, "2");
+        await vote(alice, "4");
+
+        await bob.waitForMessage(/Reminder: we're waiting for your estimate for task #101/);
+        await room.waitForMessage(/left to vote! Still waiting for @bob/);
+        await room.waitForMessage(/Time's up! Closing the vote without @bob/);
+        await room.waitForMessage(/Average estimate: \*\*3 hr\(s\)\*\*/);
+        assert(!moderator.messages.some(message => message.content.match(/Reminder/)));
+    });
+
+    it("passes the task when time is up if the moderator wants", async () => {
+        const room = await createSession();
+
+        room.post(moderator, "@bot set timelimit 0.001");
+        await room.waitForMessage(/Setting \*\*timelimit\*\* is now/);
+        room.post(moderator, "@bot set timeout pass");
+        await room.waitForMessage(/Setting \*\*timeout\*\* is now \*\*pass\*\*/);
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await room.waitForMessage(/Time's up! Nobody voted/);
+        await room.waitForMessage(/Pushing task to end of the queue/);
+        await room.waitForMessage(/Task #102/);
+        room.post(moderator, "@bot set timelimit 0");
+    });
+
+    it("measures the accuracy of past estimates against the time logged", async () => {
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await vote(moderator, "2");
+        await vote(alice, "2");
+        await vote(bob, "4");
+        await moderator.waitForMessage(/Please select final estimate for task #101/);
+        moderator.say("2");
+        await room.waitForMessage(/Task #102/);
+
+        lobby.post(alice, `@bot accuracy ${TASKLIST_URL}`);
+        await lobby.waitForMessage(/No time has been logged on the planned tasks in \*\*Sprint 42\*\* yet/);
+
+        api.getTask(101)["time-entries"] = [{ hours: "2", minutes: "30" }, { hours: "0", minutes: "30" }];
+        lobby.post(alice, `@bot accuracy ${TASKLIST_URL}`);
+
+        const accuracy = await lobby.waitForMessage(/Estimation accuracy: Sprint 42/);
+        assert(accuracy.content.includes("The team estimated 2 hr(s) and logged 3 hr(s), the team under-estimates by 50%"));
+        assert(accuracy.content.includes("| @alice | 1 | 2 | 3 | under-estimates by 50% | x1.5 |"));
+        assert(accuracy.content.includes("| @bob | 1 | 4 | 3 | over-estimates by 25% | x0.75 |"));
+
+        // Future rounds show the average corrected by the team's accuracy
+        await vote(moderator, "2", 2);
+        await vote(alice, "2", 2);
+        await vote(bob, "2", 2);
+        await room.waitForMessage(/Average estimate: \*\*2 hr\(s\)\*\* \(~3 hr\(s\) corrected by the team's past accuracy, x1.5\)/);
+    });
+
+    it("plans asynchronously until a deadline and accepts the results in bulk", async () => {
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start async 2 or 3 days");
+        await room.waitForMessage(/Please give the deadline as a time from now/);
+        room.post(moderator, "@bot start async 2020-01-01 10:00");
+        await room.waitForMessage(/The deadline has to be in the future/);
+        room.post(moderator, "@bot start async 2 days");
+        await room.waitForMessage(/Voting on the 3 tasks is open until \*\*.* UTC\*\* \(in 2 days\)/);
+
+        const ballot = await alice.waitForMessage(/Please vote on the tasks of \*\*Sprint 42\*\*/);
+        assert(ballot.content.match(/^\* Task #103: \[Test the thing\]/m));
+
+        alice.say("vote #102 4");
+        await alice.waitForMessage(/Your estimate of 4 hr\(s\) for task #102 has been submitted/);
+        alice.say("vote #101 2");
+        await alice.waitForMessage(/Your estimate of 2 hr\(s\) for task #101 has been submitted/);
+        alice.say("vote #101 3");
+        await alice.waitForMessage(/Your vote for task #101 has been changed to 3 hr\(s\)/);
+        room.post(bob, "@bot vote #101 4");
+        await bob.waitForMessage(/Your estimate of 4 hr\(s\) for task #101 has been submitted/);
+
+        await manager.findByRoom(room.id).sendDigest();
+        const digest = await bob.waitForMessage(/You haven't voted on:/);
+        assert(!digest.content.includes("#101") && digest.content.includes("#102") && digest.content.includes("#103"));
+        await room.waitForMessage(/3 of 9 votes are in, waiting for @moderator \(3 task\(s\)\), @alice \(1 task\(s\)\), @bob \(2 task\(s\)\)/);
+
+        room.post(moderator, "@bot reveal");
+        const results = await room.waitForMessage(/\| Task \| Votes \| Suggested/);
+        assert(results.content.match(/^\| #101 \[Build the thing\]\(.*\) \| 2 \| \*\*3.5 hr\(s\)\*\* \| 3 hr\(s\) \| 4 hr\(s\) \| 86% \|$/m));
+        assert(results.content.match(/^\| #103 \[Test the thing\]\(.*\) \| 0 \| \*\*-\*\* \| - \| - \| - \|$/m));
+        alice.say("vote #103 1");
+        await alice.waitForMessage(/Voting is closed/);
+
+        room.post(moderator, "@bot estimate #102 5");
+        await room.waitForMessage(/Updating task \*\*Fix the thing\*\* with an estimate of \*\*5 hr\(s\)\*\*/);
+        room.post(moderator, "@bot accept");
+        await room.waitForMessage(/Nobody voted on \[Test the thing\]\(.*\), skipping them/);
+
+        await room.waitForMessage(/Sprint planning complete/);
+        assert.equal(api.getTask(101)["estimated-minutes"], 210);
+        assert.equal(api.getTask(102)["estimated-minutes"], 300);
+        assert.equal(api.getTask(103)["estimated-minutes"], 0);
+    });
+
+    it("speaks the language the moderator picks, with the wording overridden", async () => {
+        const room = await createSession();
+
+        room.post(alice, "@bot language");
+        await room.waitForMessage(/I'm speaking English\. Available languages: en, de/);
+        room.post(alice, "@bot language de");
+        await room.waitForMessage(/only the moderator can change the language/);
+        room.post(moderator, "@bot language fr");
+        await room.waitForMessage(/I don't speak "fr"/);
+        room.post(moderator, "@bot language de");
+        await alice.waitForMessage(/Okay, ab jetzt spreche ich Deutsch/);
+        room.post(moderator, "@bot set threshold 0");
+        await room.waitForMessage(/Der Schwellenwert muss eine Zahl größer als 1 sein/);
+        room.post(moderator, "@bot plan bogus");
+        await room.waitForMessage(/Das kenne ich nicht/);
+        room.post(moderator, "@bot accuracy bogus");
+        await room.waitForMessage(/Bitte gib die URL einer Teamwork-Aufgabenliste an, deren Genauigkeit ich messen soll/);
+        room.post(moderator, "@bot capacity 40 focus 0.8");
+        await room.waitForMessage(/Die Kapazität des Sprints ist \*\*32 Std\.\*\* \(40 Std\., 80% Fokus\)/);
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/Es gibt 3 Aufgaben zu planen/);
+        room.post(moderator, "@bot start");
+
+        await alice.waitForMessage(/Bitte gib eine Zeitschätzung ein/);
+        alice.say("whenever");
+        await alice.waitForMessage(/Ich konnte "whenever" nicht als Schätzung verstehen\. .* Bitte versuche es noch einmal/);
+        alice.say("2");
+        await alice.waitForMessage(/Deine Schätzung von 2 Std\. wurde abgegeben/);
+        await room.waitForMessage(/Alice hat abgestimmt/);
+        room.post(alice, "@bot report");
+        await room.waitForMessage(/Bericht der Sprintplanung: Sprint 42\*\* \(läuft noch\)\nModeration: @moderator, Deck: hours/);
+
+        lobby.post(moderator, `@bot poker cancel ${room.id}`);
+        await room.waitForMessage(/Diese Planung wurde abgebrochen, @moderator hat sie abgebrochen/);
+
+        const messages = new Messages("de", { de: { icons: { complete: ":+1:" } }, en: { reviewItem: "* {task}: {estimate}" } });
+        assert.equal(messages.format("everyoneVoted"), ":+1: Alle haben über jede Aufgabe abgestimmt.");
+        assert.equal(messages.format("reviewItem", { task: "#101", estimate: "3" }), "* #101: 3");
+        assert.equal(messages.format("hasVoted", { name: "Bob" }), ":heavy_check_mark: Bob hat abgestimmt.");
+    });
+
+    it("takes notes on a task and comments on it with the outcome", async () => {
+        const room = await createSession();
+
+        room.post(moderator, "@bot note too early");
+        await room.waitForMessage(/There's no task being planned to add a note to/);
+        room.post(moderator, "@bot set capture on");
+        await room.waitForMessage(/Setting \*\*capture\*\* is now \*\*on\*\*/);
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        await room.waitForMessage(/Task #101/);
+        room.post(alice, "It needs a migration");
+        room.post(bob, "@bot note reuse the parser");
+        await room.waitForMessage(/Added the note to task #101/);
+
+        await vote(moderator, "2");
+        await vote(alice, "3");
+        await vote(bob, "4");
+        await moderator.waitForMessage(/Please select final estimate for task #101/);
+        moderator.say("3");
+        await room.waitForMessage(/Moving to next task/);
+
+        const [comment] = api.getTask(101).comments;
+        assert.equal(comment.body, [
+            "Estimated at 3 hr(s) in the sprint planning poker of Sprint 42, set by Mo.",
+            "Votes: Mo: 2 hr(s), Alice: 3 hr(s), Bob: 4 hr(s)",
+            "",
+            "Notes:",
+            "- Alice: It needs a migration",
+            "- Bob: reuse the parser"
+        ].join("\n"));
+
+        room.post(moderator, "@bot set comment off");
+        await room.waitForMessage(/Setting \*\*comment\*\* is now \*\*off\*\*/);
+        room.post(moderator, "@bot estimate 1");
+        await room.waitForMessage(/Moving to next task/, 2);
+        assert.equal(api.getTask(102).comments, undefined);
+
+        room.post(moderator, "@bot report json");
+        const json = JSON.parse((await room.waitForMessage(/^```\n\{/)).content.replace(/```/g, ""));
+        assert.deepEqual(json.tasks[0].notes, [{ person: "alice", text: "It needs a migration" }, { person: "bob", text: "reuse the parser" }]);
+    });
+
+    it("comments once the estimates are committed and follows up on an undo", async () => {
+        const room = await createSession();
+
+        room.post(moderator, "@bot set writeback batched");
+        await room.waitForMessage(/Setting \*\*writeback\*\* is now \*\*batched\*\*/);
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+
+        room.post(moderator, "@bot estimate 1");
+        await room.waitForMessage(/Task #102/);
+        room.post(moderator, "@bot estimate 2");
+        await room.waitForMessage(/Task #103/);
+        room.post(moderator, "@bot estimate 3");
+        await room.waitForMessage(/use `@bot commit` to write them/);
+        assert.equal(api.getTask(101).comments, undefined);
+
+        room.post(moderator, "@bot commit");
+        await room.waitForMessage(/Sprint planning complete/);
+        assert.equal(api.getTask(101).comments.length, 1);
+        assert.equal(api.getTask(103).comments.length, 1);
+
+        room.post(moderator, "@bot undo");
+        await room.waitForMessage(/Undid the estimate of \*\*3 hr\(s\)\*\*/);
+        assert.equal(api.getTask(103).comments[1].body, "The estimate of 3 hr(s) from the sprint planning poker of Sprint 42 was undone, the task is back to no estimate until it's estimated again.");
+    });
+
+    it("saves the session and resumes it after a restart", async () => {
+        const room = await createSession();
+
+        room.post(moderator, `@bot plan ${TASKLIST_URL}`);
+        await room.waitForMessage(/There are 3 tasks to plan/);
+        room.post(moderator, "@bot start");
+        await vote(alice, "3");
+        await room.waitForMessage(/Alice has voted/);
+
+        const [saved] = store.load();
+        assert.equal(saved.room, room.id);
+        assert.equal(saved.currentRound.task.id, 101);
+        assert.deepEqual(saved.currentRound.votes, [{ person: "alice", value: 3 }]);
+
+        // Stop the bot and start a fresh one on the same chat
+        [chat.bot, room, moderator, alice, bob].forEach(emitter => emitter.removeAllListeners());
+        store = new Store(store.filename);
+        manager = new SessionManager(store);
+        await poker(chat, { store, manager, session: { welcomeDelay: 0 } });
+        await room.waitForMessage(/resuming the planning of \*\*Sprint 42\*\* at task #1 of 3/);
+
+        // Only the people who hadn't voted are asked again
+        await vote(moderator, "3", 2);
+        await vote(bob, "3", 2);
+        await room.waitForMessage(/Average estimate: \*\*3 hr\(s\)\*\*/);
+        assert.equal(alice.messages.filter(message => message.content.match(/Please input a time estimate/)).length, 1);
+    });
+});
+
+function request(port, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ port, path }, res => {
+            let body = "";
+            res.setEncoding("utf8");
+            res.on("data", chunk => body += chunk);
+            res.on("end", () => resolve({
+                status: res.statusCode,
+                body: res.headers["content-type"].startsWith("application/json") ? JSON.parse(body) : body
+            }));
+        }).on("error", reject);
+    });
+}
+
+// Collects the `session` events of the dashboard's event stream
+function stream(port, path) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ port, path }, res => {
+            const states = [];
+            let buffer = "";
+
+            res.setEncoding("utf8");
+            res.on("data", chunk => {
+                buffer += chunk;
+
+                let end;
+                while((end = buffer.indexOf("\n\n")) !== -1) {
+                    const event = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+
+                    if(event.startsWith("event: session")) {
+                        states.push(JSON.parse(event.split("\ndata: ")[1]));
+                        res.emit("state");
+                    }
+                }
+            });
+
+            resolve({
+                waitFor: predicate => new Promise(resolve => {
+                    const check = () => {
+                        const state = states.find(predicate);
+
+                        if(state) {
+                            res.removeListener("state", check);
+                            resolve(state);
+                        }
+                    };
+
+                    res.on("state", check);
+                    check();
+                }),
+                close: () => req.destroy()
+            });
+        }).on("error", reject);
+    });
+}